@@ -9,13 +9,24 @@ const cors = require("cors");
 
 const { connectToMongo } = require("./db/mongoConnect");
 const { routesInit } = require("./routes/configRoutes");
+const { createJobRunner } = require("./services/jobRunner");
+const { jobHandlers } = require("./services/jobHandlers");
+const { ensureStatusSweepScheduled } = require("./services/statusSweep");
 
 // Initialize Express
 const app = express();
 
 // Middleware Configuration
 app.use(cors());
-app.use(express.json({ limit: "5mb" }));
+// rawBody is kept for payment webhook signatures
+app.use(
+    express.json({
+        limit: "5mb",
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(express.static(path.join(__dirname, "public")));
 
 // Create HTTP Server
@@ -38,6 +49,10 @@ const startServer = async () => {
         server.listen(port, () => {
             console.log(`Server is running and listening on port ${port}`);
         });
+
+        // Background jobs (reminders etc.) run in this process, persisted in MongoDB
+        createJobRunner({ handlers: jobHandlers }).start();
+        ensureStatusSweepScheduled().catch((e) => console.error("Status sweep scheduling failed:", e));
     } catch (err) {
         console.error("Failed to connect to MongoDB. Server not started.", err.message);
         process.exit(1);
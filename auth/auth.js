@@ -1,15 +1,38 @@
 const jwt = require("jsonwebtoken");
 
+// Single-purpose tokens for EventSource URLs (which end up in access logs) - keep them short-lived
+const STREAM_TOKEN_PURPOSE = "event_stream";
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
 /**
  * Internal Helper: Verifies the JWT token and returns the decoded payload.
+ * Regular API tokens have no purpose; single-purpose tokens are only accepted where expected.
  * Throws errors to be caught by the middleware.
  */
-const verifyToken = (token) => {
+const verifyToken = (token, purpose) => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error("Server Error: JWT_SECRET is not defined.");
+    }
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) {
+        throw new jwt.JsonWebTokenError("Unexpected token purpose");
+    }
+    return decoded;
+};
+
+/**
+ * Short-lived token that only opens the event stream (GET /events/stream?token=).
+ * @param {object} tokenData - Decoded API token (req.tokenData)
+ */
+exports.createStreamToken = ({ _id, role, business }) => {
     if (!process.env.JWT_SECRET) {
         throw new Error("Server Error: JWT_SECRET is not defined.");
     }
-    return jwt.verify(token, process.env.JWT_SECRET);
+    return jwt.sign({ _id, role, business, purpose: STREAM_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+        expiresIn: STREAM_TOKEN_TTL_SECONDS,
+    });
 };
+exports.STREAM_TOKEN_TTL_SECONDS = STREAM_TOKEN_TTL_SECONDS;
 
 // -------------------------
 // MIDDLEWARE: USER AUTHENTICATION
@@ -73,4 +96,34 @@ exports.authAdmin = (req, res, next) => {
         console.error("Admin Auth Error:", err.message);
         return res.status(401).json({ error: "Invalid token or signature" });
     }
-};
\ No newline at end of file
+};
+// -------------------------
+// MIDDLEWARE: EVENT STREAM AUTHENTICATION
+// Browsers' EventSource can't send custom headers, so a stream token (see createStreamToken)
+// may come as ?token= instead. API tokens are only accepted in the header.
+// -------------------------
+exports.authStream = (req, res, next) => {
+    const headerToken = req.header("x-api-key");
+    const token = headerToken || req.query.token;
+
+    if (!token || typeof token !== "string" || !token.trim()) {
+        return res.status(401).json({ error: "Token must be provided in x-api-key header or token query" });
+    }
+
+    try {
+        const decoded = verifyToken(token, headerToken ? undefined : STREAM_TOKEN_PURPOSE);
+
+        if (!decoded.business) {
+            return res.status(401).json({ error: "Token is missing business identifier" });
+        }
+
+        req.tokenData = decoded;
+        next();
+    } catch (err) {
+        if (err.name === "TokenExpiredError") {
+            return res.status(401).json({ error: "Token has expired" });
+        }
+        console.error("Stream Auth Error:", err.message);
+        return res.status(401).json({ error: "Invalid token or signature" });
+    }
+};
@@ -17,22 +17,92 @@ const appointmentSchema = new mongoose.Schema({
         ref: 'users',
         required: true
     },
+    // Snapshot of the booked service (taken from the business catalog at booking time)
     service: {
+        serviceId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = custom (admin) service
         name: { type: String, required: true },
         duration: { type: Number, required: true }, // duration in minutes
-        price: { type: Number, required: true }
+        price: { type: Number, required: true }, // Charged price (after a coupon discount)
+        originalPrice: { type: Number, default: null }, // Catalog price before the coupon (null = no coupon)
+        coupon: {
+            type: new mongoose.Schema({
+                couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'coupons' },
+                code: String,
+                discount: Number
+            }, { _id: false }),
+            default: null
+        },
+        // Loyalty points spent on this booking
+        pointsRedeemed: {
+            type: new mongoose.Schema({
+                points: Number,
+                discount: Number
+            }, { _id: false }),
+            default: null
+        }
     },
     start: { type: Date, required: true },
     notes: String,
+
+    // Recurring series link (null for one-off appointments)
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'appointmentSeries',
+        default: null,
+        index: true
+    },
+    seriesIndex: { type: Number, default: null }, // 0-based occurrence number
     status: {
         type: String,
         enum: ['confirmed', 'canceled', 'completed', 'no_show'],
         default: 'confirmed',
         required: true
     },
+
+    // Set by the status sweep when the business wants past appointments reviewed manually
+    needsReview: { type: Boolean, default: false },
+    // When the status sweep handled this appointment (null = not yet)
+    autoStatusAt: { type: Date, default: null },
+
+    // Payment summary, kept in sync with the payments collection (see services/payments.js)
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'pending', 'partial', 'paid', 'refunded'],
+        default: 'unpaid'
+    },
+    paidAmount: { type: Number, default: 0 }, // Net of refunds
+
+    // Loyalty points (see services/loyalty.js)
+    loyaltyEarned: { type: Number, default: 0 }, // Points currently awarded for this appointment
+    loyaltyRefundedAt: { type: Date, default: null }, // Redeemed points given back after a cancel
+
+    // Package credit consumed by this appointment (set while completed, see services/packages.js)
+    packageCredit: {
+        type: new mongoose.Schema({
+            clientPackage: { type: mongoose.Schema.Types.ObjectId, ref: 'clientPackages' },
+            consumedAt: Date
+        }, { _id: false }),
+        default: null
+    },
+
     createdAt: { type: Date, default: Date.now }
+}, {
+    // updatedAt drives the revision (SEQUENCE) of calendar feed events
+    timestamps: { createdAt: false, updatedAt: true }
 });
 
+// Index: status sweep / needs-review list
+appointmentSchema.index({ business: 1, status: 1, start: 1 });
+
+// Index: coupon usage limits & reports
+appointmentSchema.index(
+    { 'service.coupon.couponId': 1, client: 1 },
+    { partialFilterExpression: { 'service.coupon.couponId': { $exists: true } } }
+);
+
+// Index: admin list (keyset pagination by start)
+appointmentSchema.index({ business: 1, start: -1, _id: -1 });
+
 // Compound Index: Prevents EXACT duplicate start times for the same worker.
 // Note: This does not prevent overlapping ranges (e.g. 10:00-11:00 vs 10:30-11:30),
 // that logic is handled in the controller.
@@ -59,11 +129,15 @@ exports.validateAppointment = (_reqBody) => {
         client: Joi.string().hex().length(24).required(),
         business: Joi.string().hex().length(24).required(),
         worker: Joi.string().hex().length(24).required(),
-        service: serviceSchema.required(),
+        // Either a catalog service (preferred) or a free-form service (admin override only)
+        serviceId: Joi.string().hex().length(24),
+        service: serviceSchema,
         start: Joi.date().iso().greater('now').required(),
         notes: Joi.string().max(1000).allow("", null),
-        status: Joi.string().valid('confirmed', 'canceled', 'completed', 'no_show')
-    });
+        status: Joi.string().valid('confirmed', 'canceled', 'completed', 'no_show'),
+        couponCode: Joi.string().trim().max(30),
+        redeemPoints: Joi.number().integer().min(1).max(1000000)
+    }).xor('serviceId', 'service');
 
     return joiSchema.validate(_reqBody);
 };
\ No newline at end of file
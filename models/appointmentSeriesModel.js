@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const { isValidDateStr } = require("../services/timeZone");
+
+const SERIES_FREQUENCIES = ["weekly", "biweekly", "monthly"];
+
+// Hard cap on generated occurrences per series
+const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * Recurring Appointment Series
+ * Holds the recurrence rule; every occurrence is a regular AppointmentModel
+ * document pointing back here through `seriesId`.
+ */
+const appointmentSeriesSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+            index: true,
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+        worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        // Service snapshot used for new occurrences
+        service: {
+            serviceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            name: { type: String, required: true },
+            duration: { type: Number, required: true },
+            price: { type: Number, required: true },
+        },
+
+        frequency: { type: String, enum: SERIES_FREQUENCIES, required: true },
+
+        // First occurrence (its local time of day is kept for all occurrences)
+        start: { type: Date, required: true },
+
+        // End condition: local calendar day (inclusive) and/or occurrence count
+        until: { type: String, default: null }, // "YYYY-MM-DD"
+        count: { type: Number, default: null },
+
+        notes: { type: String, default: "" },
+
+        status: {
+            type: String,
+            enum: ["active", "canceled"],
+            default: "active",
+        },
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+        },
+    },
+    { timestamps: true }
+);
+
+const AppointmentSeriesModel = mongoose.model("appointmentSeries", appointmentSeriesSchema);
+
+/**
+ * Validate Series Creation Input (Joi)
+ */
+function validateSeries(reqBody) {
+    const serviceSchema = Joi.object({
+        name: Joi.string().min(1).max(100).required(),
+        duration: Joi.number().min(1).max(480).required(),
+        price: Joi.number().min(0).max(10000).required(),
+    });
+
+    const joiSchema = Joi.object({
+        client: Joi.string().hex().length(24).required(),
+        worker: Joi.string().hex().length(24).required(),
+        serviceId: Joi.string().hex().length(24),
+        service: serviceSchema,
+        start: Joi.date().iso().greater("now").required(),
+        frequency: Joi.string().valid(...SERIES_FREQUENCIES).required(),
+        until: Joi.string().custom((value, helpers) =>
+            isValidDateStr(value) ? value : helpers.error("any.invalid")
+        ),
+        count: Joi.number().integer().min(1).max(MAX_SERIES_OCCURRENCES),
+        notes: Joi.string().max(1000).allow("", null),
+
+        // false (default): any conflict aborts the whole series
+        // true: create what fits, report the rest
+        allowPartial: Joi.boolean().default(false),
+    })
+        .xor("serviceId", "service")
+        .or("until", "count");
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    SERIES_FREQUENCIES,
+    MAX_SERIES_OCCURRENCES,
+    AppointmentSeriesModel,
+    validateSeries,
+};
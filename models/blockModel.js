@@ -37,6 +37,11 @@ const blockSchema = new mongoose.Schema(
             ref: "users",
         },
 
+        // Calendar import origin (null for manual blocks):
+        // importSource identifies the imported calendar, externalId the occurrence inside it
+        importSource: { type: String, default: null },
+        externalId: { type: String, default: null },
+
         // Soft Delete: Allows history tracking instead of permanent removal
         active: {
             type: Boolean,
@@ -52,6 +57,7 @@ const blockSchema = new mongoose.Schema(
 // Indexes for common queries
 blockSchema.index({ business: 1, resource: 1, start: 1, active: 1 });
 blockSchema.index({ business: 1, start: 1, active: 1 });
+blockSchema.index({ business: 1, importSource: 1, externalId: 1 });
 
 // Pre-save validation: Ensure end time is after start time
 blockSchema.pre("save", function (next) {
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const Joi = require("joi");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("../services/timeZone");
 
 const DEFAULT_OPENING_HOURS = {
     sunday: { open: "09:00", close: "17:00" },
@@ -11,6 +12,137 @@ const DEFAULT_OPENING_HOURS = {
     saturday: { open: null, close: null }, // Closed
 };
 
+// Default booking rules (used for businesses created before bookingPolicy existed)
+const DEFAULT_BOOKING_POLICY = {
+    maxActiveAppointments: 3, // Confirmed appointments a client may hold
+    cancellationCutoffHours: 24, // Clients can't cancel closer than this to the start
+    minLeadTimeMinutes: 0, // Earliest bookable time, relative to now
+    maxHorizonDays: 60, // Latest bookable time, relative to now
+};
+
+// Step between offered booking slots (stored on the business itself, exposed in the booking policy)
+const DEFAULT_SLOT_INTERVAL_MIN = 20;
+
+// Default reminder pushes: 24h and 2h before the appointment
+const DEFAULT_REMINDERS = {
+    enabled: true,
+    offsetsMinutes: [24 * 60, 120],
+};
+
+// What happens to confirmed appointments once they are over
+const AUTO_STATUS_ACTIONS = ["complete", "review"];
+
+const DEFAULT_AUTO_STATUS = {
+    enabled: true,
+    afterMinutes: 60, // Grace period after the appointment end
+    action: "complete", // "complete" = mark completed, "review" = queue for admin review
+};
+
+// Auto Status Sub-schema (no _id required)
+const autoStatusSchema = new mongoose.Schema(
+    {
+        enabled: { type: Boolean, default: true },
+        afterMinutes: { type: Number, default: 60, min: 0, max: 10080 },
+        action: { type: String, enum: AUTO_STATUS_ACTIONS, default: "complete" },
+    },
+    { _id: false }
+);
+
+// No-show strikes: too many no-shows within the window restricts online booking
+const NO_SHOW_ACTIONS = ["block", "approval"];
+
+const DEFAULT_NO_SHOW_POLICY = {
+    enabled: false,
+    maxNoShows: 3, // Strikes that trigger the restriction...
+    windowDays: 90, // ...within this many days
+    action: "block", // "block" = no online booking, "approval" = booking only through an admin
+    restrictionDays: 30, // How long the restriction lasts after the last strike
+};
+
+// No-show Policy Sub-schema (no _id required)
+const noShowPolicySchema = new mongoose.Schema(
+    {
+        enabled: { type: Boolean, default: false },
+        maxNoShows: { type: Number, default: 3, min: 1, max: 20 },
+        windowDays: { type: Number, default: 90, min: 1, max: 365 },
+        action: { type: String, enum: NO_SHOW_ACTIONS, default: "block" },
+        restrictionDays: { type: Number, default: 30, min: 1, max: 365 },
+    },
+    { _id: false }
+);
+
+// Online deposits at booking time (see services/payments.js)
+// Provider names must match the registry in services/paymentProviders.js
+const PAYMENT_PROVIDERS = ["fake"];
+const DEPOSIT_TYPES = ["percent", "fixed"];
+
+const DEFAULT_PAYMENT_SETTINGS = {
+    depositsEnabled: false,
+    provider: "fake",
+    depositType: "percent", // "percent" of the service price, or a "fixed" amount
+    depositValue: 20,
+    currency: "ILS",
+    holdMinutes: 30, // Unpaid bookings are released after this
+};
+
+// Payment Settings Sub-schema (no _id required)
+const paymentSettingsSchema = new mongoose.Schema(
+    {
+        depositsEnabled: { type: Boolean, default: false },
+        provider: { type: String, enum: PAYMENT_PROVIDERS, default: "fake" },
+        depositType: { type: String, enum: DEPOSIT_TYPES, default: "percent" },
+        depositValue: { type: Number, default: 20, min: 0, max: 10000 },
+        currency: { type: String, default: "ILS" },
+        holdMinutes: { type: Number, default: 30, min: 5, max: 1440 },
+    },
+    { _id: false }
+);
+
+// Loyalty points: earned per completed appointment or per currency unit spent
+const LOYALTY_EARN_MODES = ["per_appointment", "per_currency"];
+
+const DEFAULT_LOYALTY = {
+    enabled: false,
+    earnMode: "per_appointment",
+    pointsPerAppointment: 10,
+    pointsPerCurrency: 1, // Points per 1 unit of the (discounted) service price
+    pointValue: 0.1, // Discount per redeemed point
+    minRedeemPoints: 100,
+};
+
+// Loyalty Sub-schema (no _id required)
+const loyaltySchema = new mongoose.Schema(
+    {
+        enabled: { type: Boolean, default: false },
+        earnMode: { type: String, enum: LOYALTY_EARN_MODES, default: "per_appointment" },
+        pointsPerAppointment: { type: Number, default: 10, min: 0, max: 10000 },
+        pointsPerCurrency: { type: Number, default: 1, min: 0, max: 100 },
+        pointValue: { type: Number, default: 0.1, min: 0.001, max: 100 },
+        minRedeemPoints: { type: Number, default: 100, min: 1, max: 100000 },
+    },
+    { _id: false }
+);
+
+// Reminders Sub-schema (no _id required)
+const remindersSchema = new mongoose.Schema(
+    {
+        enabled: { type: Boolean, default: true },
+        offsetsMinutes: { type: [Number], default: () => [...DEFAULT_REMINDERS.offsetsMinutes] },
+    },
+    { _id: false }
+);
+
+// Booking Policy Sub-schema (no _id required)
+const bookingPolicySchema = new mongoose.Schema(
+    {
+        maxActiveAppointments: { type: Number, default: 3, min: 1, max: 50 },
+        cancellationCutoffHours: { type: Number, default: 24, min: 0, max: 720 },
+        minLeadTimeMinutes: { type: Number, default: 0, min: 0, max: 10080 },
+        maxHorizonDays: { type: Number, default: 60, min: 1, max: 365 },
+    },
+    { _id: false }
+);
+
 // Service Sub-schema (No explicit _id required, Mongoose adds it automatically)
 const serviceSchema = new mongoose.Schema({
     name: {
@@ -89,15 +221,132 @@ const businessSchema = new mongoose.Schema({
         default: () => ({ ...DEFAULT_OPENING_HOURS }),
     },
 
+    // IANA time zone - defines the business calendar day (opening hours, by-day views, stats)
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: "Invalid time zone",
+        },
+    },
+
+    // Step between offered booking slots (minutes) - part of the booking policy
+    slotIntervalMin: {
+        type: Number,
+        default: DEFAULT_SLOT_INTERVAL_MIN,
+        min: 5,
+        max: 240,
+    },
+
+    // Booking rules enforced by the appointment routes
+    bookingPolicy: {
+        type: bookingPolicySchema,
+        default: () => ({ ...DEFAULT_BOOKING_POLICY }),
+    },
+
+    // Automatic reminder pushes to clients before their appointments
+    reminders: {
+        type: remindersSchema,
+        default: () => ({ ...DEFAULT_REMINDERS, offsetsMinutes: [...DEFAULT_REMINDERS.offsetsMinutes] }),
+    },
+
+    // Automatic status transition of past appointments (see services/statusSweep.js)
+    autoStatus: {
+        type: autoStatusSchema,
+        default: () => ({ ...DEFAULT_AUTO_STATUS }),
+    },
+
+    // Repeat no-show restrictions (see services/noShows.js)
+    noShowPolicy: {
+        type: noShowPolicySchema,
+        default: () => ({ ...DEFAULT_NO_SHOW_POLICY }),
+    },
+
+    // Loyalty points program (see services/loyalty.js)
+    loyalty: {
+        type: loyaltySchema,
+        default: () => ({ ...DEFAULT_LOYALTY }),
+    },
+
+    // Payments & online deposits (see services/payments.js)
+    paymentSettings: {
+        type: paymentSettingsSchema,
+        default: () => ({ ...DEFAULT_PAYMENT_SETTINGS }),
+    },
+
     createdAt: { type: Date, default: Date.now },
 });
 
 exports.BusinessModel = mongoose.model("businesses", businessSchema);
+exports.DEFAULT_BOOKING_POLICY = DEFAULT_BOOKING_POLICY;
+exports.DEFAULT_SLOT_INTERVAL_MIN = DEFAULT_SLOT_INTERVAL_MIN;
+exports.DEFAULT_REMINDERS = DEFAULT_REMINDERS;
+exports.DEFAULT_AUTO_STATUS = DEFAULT_AUTO_STATUS;
+exports.AUTO_STATUS_ACTIONS = AUTO_STATUS_ACTIONS;
+exports.DEFAULT_NO_SHOW_POLICY = DEFAULT_NO_SHOW_POLICY;
+exports.NO_SHOW_ACTIONS = NO_SHOW_ACTIONS;
+exports.DEFAULT_PAYMENT_SETTINGS = DEFAULT_PAYMENT_SETTINGS;
+exports.PAYMENT_PROVIDERS = PAYMENT_PROVIDERS;
+exports.DEPOSIT_TYPES = DEPOSIT_TYPES;
+exports.DEFAULT_LOYALTY = DEFAULT_LOYALTY;
+exports.LOYALTY_EARN_MODES = LOYALTY_EARN_MODES;
 
 // ---------------------------------------------------------
 // Joi Validation (for Business Creation)
 // ---------------------------------------------------------
 
+const bookingPolicyJoi = Joi.object({
+    maxActiveAppointments: Joi.number().integer().min(1).max(50),
+    cancellationCutoffHours: Joi.number().min(0).max(720),
+    minLeadTimeMinutes: Joi.number().integer().min(0).max(10080),
+    maxHorizonDays: Joi.number().integer().min(1).max(365),
+});
+
+const remindersJoi = Joi.object({
+    enabled: Joi.boolean(),
+    // 5 minutes .. 7 days before the start, at most 5 reminders
+    offsetsMinutes: Joi.array().items(Joi.number().integer().min(5).max(10080)).unique().max(5),
+});
+
+const autoStatusJoi = Joi.object({
+    enabled: Joi.boolean(),
+    afterMinutes: Joi.number().integer().min(0).max(10080),
+    action: Joi.string().valid(...AUTO_STATUS_ACTIONS),
+});
+
+const noShowPolicyJoi = Joi.object({
+    enabled: Joi.boolean(),
+    maxNoShows: Joi.number().integer().min(1).max(20),
+    windowDays: Joi.number().integer().min(1).max(365),
+    action: Joi.string().valid(...NO_SHOW_ACTIONS),
+    restrictionDays: Joi.number().integer().min(1).max(365),
+});
+
+// The fake provider lets anyone "pay" from its simulator - only with FAKE_PAYMENTS=true
+const paymentProviderJoi = Joi.string().custom((value, helpers) => {
+    const available = PAYMENT_PROVIDERS.filter((p) => p !== "fake" || process.env.FAKE_PAYMENTS === "true");
+    return available.includes(value) ? value : helpers.error("any.invalid");
+});
+
+const paymentSettingsJoi = Joi.object({
+    depositsEnabled: Joi.boolean(),
+    provider: paymentProviderJoi,
+    depositType: Joi.string().valid(...DEPOSIT_TYPES),
+    depositValue: Joi.number().precision(2).min(0).max(10000),
+    currency: Joi.string().uppercase().length(3),
+    holdMinutes: Joi.number().integer().min(5).max(1440),
+});
+
+const loyaltyJoi = Joi.object({
+    enabled: Joi.boolean(),
+    earnMode: Joi.string().valid(...LOYALTY_EARN_MODES),
+    pointsPerAppointment: Joi.number().integer().min(0).max(10000),
+    pointsPerCurrency: Joi.number().min(0).max(100),
+    pointValue: Joi.number().min(0.001).max(100),
+    minRedeemPoints: Joi.number().integer().min(1).max(100000),
+});
+
 exports.validateBusiness = (reqBody) => {
     const timeRange = Joi.object({
         open: Joi.string()
@@ -154,7 +403,71 @@ exports.validateBusiness = (reqBody) => {
             friday: timeRange,
             saturday: timeRange,
         }).optional(),
+
+        timezone: Joi.string().custom((value, helpers) =>
+            isValidTimeZone(value) ? value : helpers.error("any.invalid")
+        ),
+
+        slotIntervalMin: Joi.number().integer().min(5).max(240),
+        bookingPolicy: bookingPolicyJoi,
+        reminders: remindersJoi,
+        autoStatus: autoStatusJoi,
+        noShowPolicy: noShowPolicyJoi,
+        paymentSettings: paymentSettingsJoi,
+        loyalty: loyaltyJoi,
     });
 
     return joiSchema.validate(reqBody);
-};
\ No newline at end of file
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for Booking Policy updates - partial)
+// ---------------------------------------------------------
+
+// slotIntervalMin is accepted here too (saved on the business, see routes/businesses.js)
+exports.validateBookingPolicy = (reqBody) => {
+    return bookingPolicyJoi
+        .keys({ slotIntervalMin: Joi.number().integer().min(5).max(240) })
+        .min(1)
+        .validate(reqBody, { abortEarly: false });
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for Reminders settings updates - partial)
+// ---------------------------------------------------------
+
+exports.validateReminders = (reqBody) => {
+    return remindersJoi.min(1).validate(reqBody, { abortEarly: false });
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for Auto Status settings updates - partial)
+// ---------------------------------------------------------
+
+exports.validateAutoStatus = (reqBody) => {
+    return autoStatusJoi.min(1).validate(reqBody, { abortEarly: false });
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for No-show Policy updates - partial)
+// ---------------------------------------------------------
+
+exports.validateNoShowPolicy = (reqBody) => {
+    return noShowPolicyJoi.min(1).validate(reqBody, { abortEarly: false });
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for Payment Settings updates - partial)
+// ---------------------------------------------------------
+
+exports.validatePaymentSettings = (reqBody) => {
+    return paymentSettingsJoi.min(1).validate(reqBody, { abortEarly: false });
+};
+
+// ---------------------------------------------------------
+// Joi Validation (for Loyalty settings updates - partial)
+// ---------------------------------------------------------
+
+exports.validateLoyalty = (reqBody) => {
+    return loyaltyJoi.min(1).validate(reqBody, { abortEarly: false });
+};
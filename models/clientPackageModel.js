@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Client Package
+ * A package sold to a client - the credits they hold.
+ * Name, services and credits are a snapshot of the package at sale time.
+ * A credit is consumed when an appointment is completed (appointment.packageCredit
+ * points back here) and restored if that appointment leaves "completed".
+ */
+const clientPackageSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+        package: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "packages",
+            required: true,
+        },
+
+        // Snapshot of the package
+        name: { type: String, required: true },
+        serviceIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+        totalCredits: { type: Number, required: true, min: 1 },
+
+        usedCredits: { type: Number, default: 0, min: 0 },
+
+        price: { type: Number, required: true, min: 0 },
+        paymentMethod: { type: String, default: "cash" },
+        notes: { type: String, trim: true, default: "" },
+
+        purchasedAt: { type: Date, default: Date.now },
+        expiresAt: { type: Date, default: null }, // null = never
+        soldBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+
+        // Canceled by an admin - remaining credits can't be used
+        canceledAt: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+// Index: a client's packages
+clientPackageSchema.index({ business: 1, client: 1, expiresAt: 1 });
+
+const ClientPackageModel = mongoose.model("clientPackages", clientPackageSchema);
+
+module.exports = {
+    ClientPackageModel,
+};
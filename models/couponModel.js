@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+const COUPON_TYPES = ["percent", "fixed"];
+
+/**
+ * Coupon
+ * Discount code of a business, applied to the service price at booking time.
+ * Uses are the non-canceled appointments carrying the coupon (service.coupon.couponId),
+ * so a canceled booking gives its use back.
+ */
+const couponSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+
+        // Stored upper-case, unique per business
+        code: { type: String, required: true, trim: true, uppercase: true },
+        description: { type: String, trim: true, default: "" },
+
+        type: { type: String, enum: COUPON_TYPES, required: true },
+        value: { type: Number, required: true, min: 0 }, // Percent (1-100) or fixed amount
+
+        // Booking time window (null = open-ended)
+        validFrom: { type: Date, default: null },
+        validUntil: { type: Date, default: null },
+
+        // Appointment weekdays in the business time zone (0 = Sunday). Empty = every day
+        weekdays: { type: [Number], default: [] },
+
+        // Catalog services the coupon applies to. Empty = every catalog service
+        serviceIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+
+        // Only for clients without earlier (non-canceled) appointments
+        firstVisitOnly: { type: Boolean, default: false },
+
+        // Usage limits (null = unlimited)
+        maxUses: { type: Number, default: null, min: 1 },
+        maxUsesPerClient: { type: Number, default: 1, min: 1 },
+
+        active: { type: Boolean, default: true },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    },
+    { timestamps: true }
+);
+
+// Unique Index: one code per business
+couponSchema.index({ business: 1, code: 1 }, { unique: true });
+
+const CouponModel = mongoose.model("coupons", couponSchema);
+
+const couponFields = {
+    code: Joi.string()
+        .trim()
+        .pattern(/^[A-Za-z0-9_-]{3,30}$/),
+    description: Joi.string().max(200).allow(""),
+    type: Joi.string().valid(...COUPON_TYPES),
+    value: Joi.number().precision(2).min(0.01).max(10000),
+    validFrom: Joi.date().iso().allow(null),
+    validUntil: Joi.date().iso().allow(null),
+    weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7),
+    serviceIds: Joi.array().items(Joi.string().hex().length(24)).unique().max(100),
+    firstVisitOnly: Joi.boolean(),
+    maxUses: Joi.number().integer().min(1).max(1000000).allow(null),
+    maxUsesPerClient: Joi.number().integer().min(1).max(1000).allow(null),
+    active: Joi.boolean(),
+};
+
+// Percent coupons can't go over 100%
+const percentCap = (value, helpers) =>
+    value.type === "percent" && value.value > 100 ? helpers.message("Percent value must be 1-100") : value;
+
+/**
+ * Validate Coupon Creation Input (Joi)
+ */
+function validateCoupon(reqBody) {
+    const joiSchema = Joi.object({
+        ...couponFields,
+        code: couponFields.code.required(),
+        type: couponFields.type.required(),
+        value: couponFields.value.required(),
+    }).custom(percentCap);
+
+    return joiSchema.validate(reqBody);
+}
+
+/**
+ * Validate Coupon Update Input (Joi) - partial
+ */
+function validateCouponUpdate(reqBody) {
+    return Joi.object(couponFields).min(1).validate(reqBody);
+}
+
+module.exports = {
+    COUPON_TYPES,
+    CouponModel,
+    validateCoupon,
+    validateCouponUpdate,
+};
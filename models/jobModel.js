@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["pending", "running", "done", "failed", "canceled"];
+
+/**
+ * Scheduled Job
+ * Persistent unit of deferred work (e.g. a reminder push), executed by the job runner
+ * inside the server process. Stored in Mongo so jobs survive restarts.
+ */
+const jobSchema = new mongoose.Schema(
+    {
+        // Handler name (see services/jobHandlers.js)
+        type: { type: String, required: true },
+
+        runAt: { type: Date, required: true },
+
+        payload: { type: Object, default: {} },
+
+        // Optional dedupe key - at most one PENDING job per key
+        key: { type: String, default: null },
+
+        status: {
+            type: String,
+            enum: JOB_STATUSES,
+            default: "pending",
+        },
+
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, default: 3 },
+
+        // Runner bookkeeping
+        lockedBy: { type: String, default: null },
+        lockedAt: { type: Date, default: null },
+        finishedAt: { type: Date, default: null },
+        lastError: { type: String, default: null },
+    },
+    { timestamps: true }
+);
+
+// Index: due jobs lookup
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Index: cancel / reschedule by payload reference
+jobSchema.index({ "payload.appointmentId": 1, status: 1 });
+
+// Unique Index: one pending job per key
+jobSchema.index(
+    { key: 1 },
+    {
+        unique: true,
+        partialFilterExpression: { status: "pending", key: { $type: "string" } },
+    }
+);
+
+const JobModel = mongoose.model("jobs", jobSchema);
+
+module.exports = { JOB_STATUSES, JobModel };
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+/**
+ * earn            - completed appointment (+)
+ * earn_reversed   - the appointment left "completed" (-)
+ * redeem          - points spent on a booking discount (-)
+ * redeem_refunded - that booking was canceled (+)
+ * adjust          - manual correction by an admin (+/-)
+ */
+const LOYALTY_TRANSACTION_TYPES = ["earn", "earn_reversed", "redeem", "redeem_refunded", "adjust"];
+
+/**
+ * Loyalty Transaction
+ * Append-only points ledger of a client. The balance is cached on the user (loyaltyPoints).
+ */
+const loyaltyTransactionSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        type: { type: String, enum: LOYALTY_TRANSACTION_TYPES, required: true },
+        points: { type: Number, required: true }, // Signed
+        balanceAfter: { type: Number, required: true },
+
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "appointments",
+            default: null,
+        },
+        description: { type: String, trim: true, default: "" },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Index: client history (newest first)
+loyaltyTransactionSchema.index({ business: 1, client: 1, createdAt: -1, _id: -1 });
+
+const LoyaltyTransactionModel = mongoose.model("loyaltyTransactions", loyaltyTransactionSchema);
+
+/**
+ * Validate Admin Adjustment Input (Joi)
+ */
+function validateLoyaltyAdjustment(reqBody) {
+    const joiSchema = Joi.object({
+        points: Joi.number().integer().min(-100000).max(100000).invalid(0).required(),
+        reason: Joi.string().trim().min(1).max(200).required(),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    LOYALTY_TRANSACTION_TYPES,
+    LoyaltyTransactionModel,
+    validateLoyaltyAdjustment,
+};
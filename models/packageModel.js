@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+/**
+ * Package
+ * A prepaid bundle a business sells, e.g. "10 haircuts for the price of 9".
+ * Selling it to a client creates a ClientPackage holding the credits.
+ */
+const packageSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+            index: true,
+        },
+
+        name: { type: String, required: true, trim: true },
+        description: { type: String, trim: true, default: "" },
+
+        credits: { type: Number, required: true, min: 1 }, // One credit = one appointment
+        price: { type: Number, required: true, min: 0 },
+
+        // Catalog services a credit can pay for. Empty = every catalog service
+        serviceIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+
+        // Credits expire this many days after the sale (null = never)
+        validDays: { type: Number, default: null, min: 1 },
+
+        active: { type: Boolean, default: true },
+    },
+    { timestamps: true }
+);
+
+const PackageModel = mongoose.model("packages", packageSchema);
+
+const packageFields = {
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().max(500).allow(""),
+    credits: Joi.number().integer().min(1).max(1000),
+    price: Joi.number().precision(2).min(0).max(100000),
+    serviceIds: Joi.array().items(Joi.string().hex().length(24)).unique().max(100),
+    validDays: Joi.number().integer().min(1).max(3650).allow(null),
+    active: Joi.boolean(),
+};
+
+/**
+ * Validate Package Creation Input (Joi)
+ */
+function validatePackage(reqBody) {
+    const joiSchema = Joi.object({
+        ...packageFields,
+        name: packageFields.name.required(),
+        credits: packageFields.credits.required(),
+        price: packageFields.price.required(),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+/**
+ * Validate Package Update Input (Joi) - partial
+ * Changes apply to future sales only; sold packages keep their snapshot.
+ */
+function validatePackageUpdate(reqBody) {
+    return Joi.object(packageFields).min(1).validate(reqBody);
+}
+
+/**
+ * Validate Package Sale Input (Joi)
+ */
+function validatePackageSale(reqBody) {
+    const joiSchema = Joi.object({
+        client: Joi.string().hex().length(24).required(),
+        price: Joi.number().precision(2).min(0).max(100000), // Defaults to the package price
+        paymentMethod: Joi.string().valid("cash", "card", "bit", "other").default("cash"),
+        notes: Joi.string().max(500).allow(""),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    PackageModel,
+    validatePackage,
+    validatePackageUpdate,
+    validatePackageSale,
+};
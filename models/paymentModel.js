@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+// How the money was taken ("online" = through a payment provider)
+const PAYMENT_METHODS = ["cash", "card", "bit", "other", "online"];
+
+// Methods an admin can record by hand
+const MANUAL_PAYMENT_METHODS = ["cash", "card", "bit", "other"];
+
+// pending = online checkout not completed yet
+const PAYMENT_STATUSES = ["pending", "succeeded", "failed", "canceled"];
+
+const PAYMENT_KINDS = ["payment", "deposit"];
+
+// Refund Sub-schema
+const refundSchema = new mongoose.Schema(
+    {
+        amount: { type: Number, required: true, min: 0.01 },
+        reason: { type: String, trim: true, default: "" },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+        providerRefundId: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now },
+    },
+    { _id: true }
+);
+
+/**
+ * Payment
+ * Money received for an appointment. An appointment may have several payments
+ * (deposit + remainder, partial payments); refunds are recorded on the payment they return.
+ */
+const paymentSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "appointments",
+            required: true,
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        kind: { type: String, enum: PAYMENT_KINDS, default: "payment" },
+        method: { type: String, enum: PAYMENT_METHODS, required: true },
+        status: { type: String, enum: PAYMENT_STATUSES, default: "succeeded" },
+
+        amount: { type: Number, required: true, min: 0.01 },
+        currency: { type: String, default: "ILS" },
+
+        refunds: { type: [refundSchema], default: [] },
+        refundedAmount: { type: Number, default: 0 },
+
+        // Online payments (null provider = recorded by an admin)
+        provider: { type: String, default: null },
+        providerPaymentId: { type: String, default: null },
+        checkoutUrl: { type: String, default: null },
+        expiresAt: { type: Date, default: null }, // Unpaid pending checkouts are canceled after this
+
+        paidAt: { type: Date, default: null },
+        recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users", default: null },
+        notes: { type: String, trim: true, default: "" },
+    },
+    { timestamps: true }
+);
+
+// Index: payments of an appointment
+paymentSchema.index({ business: 1, appointment: 1 });
+
+// Unique Index: webhook lookup by the provider's ID
+paymentSchema.index(
+    { provider: 1, providerPaymentId: 1 },
+    { unique: true, partialFilterExpression: { providerPaymentId: { $type: "string" } } }
+);
+
+const PaymentModel = mongoose.model("payments", paymentSchema);
+
+/**
+ * Validate Admin Payment Input (Joi)
+ */
+function validatePayment(reqBody) {
+    const joiSchema = Joi.object({
+        appointmentId: Joi.string().hex().length(24).required(),
+        amount: Joi.number().precision(2).min(0.01).max(100000).required(),
+        method: Joi.string()
+            .valid(...MANUAL_PAYMENT_METHODS)
+            .required(),
+        kind: Joi.string().valid(...PAYMENT_KINDS).default("payment"),
+        paidAt: Joi.date().iso().max("now"),
+        notes: Joi.string().max(500).allow(""),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+/**
+ * Validate Refund Input (Joi)
+ * Without an amount, the whole remaining amount is refunded.
+ */
+function validateRefund(reqBody) {
+    const joiSchema = Joi.object({
+        amount: Joi.number().precision(2).min(0.01).max(100000),
+        reason: Joi.string().max(500).allow(""),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    PAYMENT_METHODS,
+    MANUAL_PAYMENT_METHODS,
+    PAYMENT_STATUSES,
+    PAYMENT_KINDS,
+    PaymentModel,
+    validatePayment,
+    validateRefund,
+};
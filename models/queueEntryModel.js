@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+const QUEUE_STATUSES = ["waiting", "called", "served", "skipped", "left"];
+
+// Entries still in line (or being served)
+const ACTIVE_QUEUE_STATUSES = ["waiting", "called"];
+
+/**
+ * Live Queue Entry
+ * One ticket in a worker's walk-in queue for a business calendar day.
+ * App check-ins have a client; walk-ins added by an admin may only have a name.
+ */
+const queueEntrySchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+        worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        // Local calendar day of the business ("YYYY-MM-DD")
+        day: { type: String, required: true },
+
+        // Ticket number, per worker & day (1, 2, 3...)
+        number: { type: Number, required: true },
+
+        // null for walk-ins without an app account
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            default: null,
+        },
+        name: { type: String, trim: true, required: true },
+        phone: { type: String, trim: true, default: "" },
+
+        source: { type: String, enum: ["app", "walk_in"], required: true },
+
+        // Service snapshot - its duration drives the wait estimates
+        service: {
+            serviceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            name: { type: String, required: true },
+            duration: { type: Number, required: true },
+            price: { type: Number, required: true },
+        },
+
+        status: {
+            type: String,
+            enum: QUEUE_STATUSES,
+            default: "waiting",
+        },
+
+        calledAt: { type: Date, default: null },
+        finishedAt: { type: Date, default: null },
+
+        // "You're next" push already sent
+        nextNotifiedAt: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+// Unique Index: one ticket number per worker & day
+queueEntrySchema.index({ business: 1, worker: 1, day: 1, number: 1 }, { unique: true });
+
+// Index: client's active entries
+queueEntrySchema.index({ business: 1, client: 1, status: 1 });
+
+// Unique Index: one active ticket per client & day (across all workers' queues)
+queueEntrySchema.index(
+    { business: 1, client: 1, day: 1 },
+    {
+        unique: true,
+        partialFilterExpression: {
+            status: { $in: ACTIVE_QUEUE_STATUSES },
+            client: { $type: "objectId" },
+        },
+    }
+);
+
+const QueueEntryModel = mongoose.model("queueEntries", queueEntrySchema);
+
+/**
+ * Validate Client Check-in Input (Joi)
+ */
+function validateCheckIn(reqBody) {
+    const joiSchema = Joi.object({
+        worker: Joi.string().hex().length(24).required(),
+        serviceId: Joi.string().hex().length(24).required(),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+/**
+ * Validate Admin Walk-in Input (Joi)
+ * Either a catalog service or a free-form one, like admin bookings.
+ */
+function validateWalkIn(reqBody) {
+    const joiSchema = Joi.object({
+        worker: Joi.string().hex().length(24).required(),
+        client: Joi.string().hex().length(24).allow(null),
+        // Required for walk-ins without an app account
+        name: Joi.string()
+            .trim()
+            .min(1)
+            .max(80)
+            .when("client", { is: Joi.string().required(), otherwise: Joi.required() }),
+        phone: Joi.string().trim().max(20).allow(""),
+        serviceId: Joi.string().hex().length(24),
+        service: Joi.object({
+            name: Joi.string().min(1).max(100).required(),
+            duration: Joi.number().min(1).max(480).required(),
+            price: Joi.number().min(0).max(10000).required(),
+        }),
+    }).xor("serviceId", "service");
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    QUEUE_STATUSES,
+    ACTIVE_QUEUE_STATUSES,
+    QueueEntryModel,
+    validateCheckIn,
+    validateWalkIn,
+};
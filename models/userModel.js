@@ -7,6 +7,7 @@ const ADMIN_PUSH_DEFAULTS = {
     enabled: true,
     onAppointmentCreated: true,
     onAppointmentCanceled: true,
+    onAppointmentRescheduled: true,
     onUserSignup: true,
 };
 
@@ -16,6 +17,7 @@ const adminPushSettingsSchema = new mongoose.Schema(
         enabled: { type: Boolean, default: true },
         onAppointmentCreated: { type: Boolean, default: true },
         onAppointmentCanceled: { type: Boolean, default: true },
+        onAppointmentRescheduled: { type: Boolean, default: true },
         onUserSignup: { type: Boolean, default: true },
     },
     { _id: false }
@@ -38,6 +40,15 @@ const userSchema = new mongoose.Schema(
         expoPushToken: { type: String, default: null },
         lastSeenNotificationsAt: { type: Date, default: null },
 
+        // No-shows before this date no longer count as strikes (admin pardon)
+        noShowPardonedAt: { type: Date, default: null },
+
+        // Bumped to revoke all calendar feed URLs of the user (part of the signature)
+        calendarFeedVersion: { type: Number, default: 0 },
+
+        // Loyalty points balance - cached sum of the loyalty ledger (see services/loyalty.js)
+        loyaltyPoints: { type: Number, default: 0 },
+
         /**
          * Admin Push Settings:
          * - Only exists for admins.
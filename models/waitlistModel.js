@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const Joi = require("joi");
+
+const WAITLIST_STATUSES = ["waiting", "fulfilled", "canceled"];
+
+// Time-limited offer of a freed slot (first client to claim wins)
+const offerSchema = new mongoose.Schema({
+    start: { type: Date, required: true },
+    worker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "users",
+        required: true,
+    },
+    expiresAt: { type: Date, required: true },
+    sentAt: { type: Date, default: Date.now },
+});
+
+/**
+ * Waitlist Entry
+ * A client's wish for a slot: a worker (or any worker), a local date range and a service.
+ */
+const waitlistSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+        client: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        // null = any worker
+        worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            default: null,
+        },
+
+        // Service snapshot from the catalog (duration decides which freed slots fit)
+        service: {
+            serviceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+            name: { type: String, required: true },
+            duration: { type: Number, required: true },
+            price: { type: Number, required: true },
+        },
+
+        // Wanted range - local calendar days of the business ("YYYY-MM-DD", inclusive)
+        fromDate: { type: String, required: true },
+        toDate: { type: String, required: true },
+
+        notes: { type: String, default: "" },
+
+        status: {
+            type: String,
+            enum: WAITLIST_STATUSES,
+            default: "waiting",
+        },
+
+        offers: {
+            type: [offerSchema],
+            default: () => [],
+        },
+
+        // Set once an offer was claimed
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "appointments",
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// Index: matching waiting entries for a freed slot
+waitlistSchema.index({ business: 1, status: 1, fromDate: 1, toDate: 1 });
+waitlistSchema.index({ business: 1, client: 1, status: 1 });
+
+const WaitlistModel = mongoose.model("waitlist", waitlistSchema);
+
+/**
+ * Validate Waitlist Entry Input (Joi)
+ */
+function validateWaitlist(reqBody) {
+    const joiSchema = Joi.object({
+        worker: Joi.string().hex().length(24).allow(null).default(null),
+        serviceId: Joi.string().hex().length(24).required(),
+        fromDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+        toDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+        notes: Joi.string().max(500).allow("", null),
+    });
+
+    return joiSchema.validate(reqBody);
+}
+
+module.exports = {
+    WAITLIST_STATUSES,
+    WaitlistModel,
+    validateWaitlist,
+};
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+/**
+ * Worker Lock (booking mutex)
+ * One document per worker. Holding it (expiresAt in the future) grants exclusive
+ * rights to check & write that worker's schedule. Expired locks are free to take,
+ * so a crashed process can never block a worker forever.
+ */
+const workerLockSchema = new mongoose.Schema(
+    {
+        business: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "businesses",
+            required: true,
+        },
+
+        worker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "users",
+            required: true,
+        },
+
+        // Random id of the current holder (only the holder may release)
+        token: { type: String, default: null },
+
+        // Lease end - the lock is free once this passes
+        expiresAt: { type: Date, required: true },
+    },
+    { timestamps: true }
+);
+
+// Unique Index: exactly one lock document per worker
+workerLockSchema.index({ business: 1, worker: 1 }, { unique: true });
+
+const WorkerLockModel = mongoose.model("workerLocks", workerLockSchema);
+
+module.exports = { WorkerLockModel };
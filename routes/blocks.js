@@ -1,17 +1,49 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const Joi = require("joi");
+const multer = require("multer");
 const router = express.Router();
 
 // Internal Imports
 const { BlockModel, validateBlock } = require("../models/blockModel");
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
 const { auth, authAdmin } = require("../auth/auth");
+const { getBusinessTimezone } = require("../services/scheduling");
+const { publish, publishBlockEvent } = require("../services/eventHub");
+const { parseICS, expandEvents } = require("../services/ical");
+const {
+    DEFAULT_TIMEZONE,
+    isValidDateStr,
+    zonedDayRange,
+    zonedTimeToUtc,
+    addDays,
+} = require("../services/timeZone");
 
 // Constants
 const BLOCK_REASONS = ["vacation", "maintenance", "training", "other"];
 
-// Helper
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Multer: ICS uploads (Memory Storage, 2MB)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 },
+});
+
+// Helpers
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * ICS Import Schema (multipart text fields)
+ */
+const importIcsSchema = Joi.object({
+    resource: Joi.string().hex().length(24).required(),
+    // Identifies the calendar - re-importing the same source replaces its blocks
+    source: Joi.string().trim().min(1).max(100),
+    days: Joi.number().integer().min(1).max(365).default(180),
+});
 
 /**
  * Update Schema (PATCH)
@@ -46,14 +78,13 @@ router.get("/by-day", auth, async (req, res) => {
             return res.status(400).json({ error: "Missing required query param: date (YYYY-MM-DD)" });
         }
 
-        const dayStart = new Date(date);
-        if (Number.isNaN(dayStart.getTime())) {
+        if (!isValidDateStr(date)) {
             return res.status(400).json({ error: "Invalid date format, expected YYYY-MM-DD" });
         }
 
-        // Calculate end of the day
-        const dayEnd = new Date(dayStart);
-        dayEnd.setDate(dayEnd.getDate() + 1);
+        // Day boundaries follow the business local calendar
+        const timeZone = await getBusinessTimezone(business);
+        const { start: dayStart, end: dayEnd } = zonedDayRange(date, timeZone);
 
         // Base Filter: Active blocks in this business overlapping the day
         const filter = {
@@ -100,14 +131,18 @@ router.get("/list", auth, async (req, res) => {
             filter.active = true;
         }
 
-        // Date Range Filter
+        // Date Range Filter (YYYY-MM-DD in the business local calendar, or full ISO instants)
         if (from || to) {
+            const timeZone = await getBusinessTimezone(business);
             filter.start = {};
-            if (from) filter.start.$gte = new Date(from);
+            if (from) {
+                filter.start.$gte = isValidDateStr(from) ? zonedTimeToUtc(from, 0, timeZone) : new Date(from);
+            }
             if (to) {
-                const endDate = new Date(to);
-                endDate.setDate(endDate.getDate() + 1); // Include the whole 'to' day
-                filter.start.$lt = endDate;
+                // Include the whole 'to' day
+                filter.start.$lt = isValidDateStr(to)
+                    ? zonedTimeToUtc(addDays(to, 1), 0, timeZone)
+                    : new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
             }
         }
 
@@ -146,6 +181,11 @@ router.post("/", authAdmin, async (req, res) => {
             createdBy: userId,
         };
 
+        // Display timezone defaults to the business time zone
+        if (!payload.timezone) {
+            payload.timezone = await getBusinessTimezone(business);
+        }
+
         const valid = validateBlock(payload);
         if (valid.error) {
             return res.status(400).json({
@@ -157,6 +197,8 @@ router.post("/", authAdmin, async (req, res) => {
         const block = new BlockModel(valid.value);
         await block.save();
 
+        publishBlockEvent("block.created", block);
+
         res.status(201).json(block);
     } catch (err) {
         console.error("POST /blocks error:", err);
@@ -164,6 +206,107 @@ router.post("/", authAdmin, async (req, res) => {
     }
 });
 
+/* ======================================================
+   📥 IMPORT BUSY TIMES FROM ICS
+   Multipart: file (.ics) + resource, source?, days?
+   Every VEVENT occurrence (RRULE expanded) in the next `days` becomes a block.
+   Idempotent per resource + source: known occurrences are updated, vanished ones deactivated.
+   POST /blocks/import-ics
+====================================================== */
+router.post("/import-ics", authAdmin, upload.single("file"), async (req, res) => {
+    try {
+        const { business, _id: userId } = req.tokenData;
+
+        if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+
+        const { error, value } = importIcsSchema.validate(req.body, { stripUnknown: true });
+        if (error) {
+            return res.status(400).json({
+                error: "Validation error",
+                details: error.details.map((d) => d.message),
+            });
+        }
+
+        const [biz, worker] = await Promise.all([
+            BusinessModel.findById(business).select("timezone").lean(),
+            UserModel.findOne({ _id: value.resource, business }).select("_id").lean(),
+        ]);
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (!worker) return res.status(400).json({ error: "Worker not found in business" });
+
+        const text = req.file.buffer.toString("utf8");
+        if (!text.includes("BEGIN:VCALENDAR")) {
+            return res.status(400).json({ error: "INVALID_ICS" });
+        }
+
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+        const from = new Date();
+        const to = new Date(from.getTime() + value.days * DAY_MS);
+
+        const expanded = expandEvents(parseICS(text, timeZone), { from, to });
+        const occurrences = expanded.occurrences.filter((o) => o.end > o.start);
+
+        const source = value.source || req.file.originalname || "calendar.ics";
+        const importSource = `ics:${value.resource}:${source}`;
+
+        const ops = occurrences.map((o) => ({
+            updateOne: {
+                filter: {
+                    business,
+                    importSource,
+                    externalId: `${o.uid}|${o.occurrenceStart.toISOString()}`,
+                },
+                update: {
+                    $set: {
+                        resource: value.resource,
+                        start: o.start,
+                        end: o.end,
+                        timezone: timeZone,
+                        notes: (o.summary || "").slice(0, 1000),
+                        active: true,
+                    },
+                    $setOnInsert: { reason: "other", createdBy: userId },
+                },
+                upsert: true,
+            },
+        }));
+
+        const result = ops.length > 0 ? await BlockModel.bulkWrite(ops) : null;
+
+        // Occurrences that disappeared from the calendar (removed / cancelled / moved out).
+        // Events that couldn't be fully expanded keep their blocks - missing isn't the same as gone.
+        const staleFilter = {
+            business,
+            importSource,
+            active: true,
+            end: { $gt: from },
+            externalId: { $nin: ops.map((op) => op.updateOne.filter.externalId) },
+        };
+        if (expanded.incompleteUids.length > 0) {
+            staleFilter.$nor = expanded.incompleteUids.map((uid) => ({
+                externalId: { $regex: `^${escapeRegex(uid)}\\|` },
+            }));
+        }
+        const deactivated = await BlockModel.updateMany(staleFilter, { $set: { active: false } });
+
+        const summary = {
+            source,
+            total: occurrences.length,
+            created: result?.upsertedCount || 0,
+            updated: result?.modifiedCount || 0,
+            deactivated: deactivated.modifiedCount,
+            errors: expanded.incompleteUids.map((uid) => ({ uid, error: "EXPANSION_LIMIT" })),
+        };
+
+        publish(business, "block.imported", { resource: value.resource, ...summary }, [value.resource]);
+
+        res.json(summary);
+    } catch (err) {
+        console.error("POST /blocks/import-ics error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
 /* ======================================================
    ✏️ UPDATE BLOCK
    PATCH /blocks/:id
@@ -189,16 +332,17 @@ router.patch("/:id", authAdmin, async (req, res) => {
             });
         }
 
-        const updated = await BlockModel.findOneAndUpdate(
-            { _id: id, business },
-            value,
-            { new: true }
-        );
+        const previous = await BlockModel.findOneAndUpdate({ _id: id, business }, value);
 
-        if (!updated) {
+        if (!previous) {
             return res.status(404).json({ error: "Block not found" });
         }
 
+        const updated = await BlockModel.findById(id);
+
+        // A moved block concerns both the old and the new resource
+        publishBlockEvent("block.updated", updated, previous.resource || null);
+
         res.json(updated);
     } catch (err) {
         console.error("PATCH /blocks/:id error:", err);
@@ -230,6 +374,8 @@ router.delete("/:id", authAdmin, async (req, res) => {
             return res.status(404).json({ error: "Block not found" });
         }
 
+        publishBlockEvent("block.deleted", updated);
+
         res.json({ msg: "Block deleted", block: updated });
     } catch (err) {
         console.error("DELETE /blocks/:id error:", err);
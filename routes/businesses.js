@@ -6,10 +6,35 @@ const streamifier = require("streamifier");
 const multer = require("multer");
 
 // Internal Imports
-const { BusinessModel, validateBusiness } = require("../models/businessModel.js");
+const {
+    BusinessModel,
+    validateBusiness,
+    validateBookingPolicy,
+    validateReminders,
+    validateAutoStatus,
+    validateNoShowPolicy,
+    validatePaymentSettings,
+    validateLoyalty,
+} = require("../models/businessModel.js");
 const { UserModel } = require("../models/userModel");
 const { AppointmentModel } = require("../models/appointmentModel");
 const { auth, authAdmin } = require("../auth/auth.js");
+const { getBookingPolicy } = require("../services/scheduling");
+const { getReminderSettings } = require("../services/reminders");
+const { getAutoStatusSettings } = require("../services/statusSweep");
+const { getNoShowPolicy } = require("../services/noShows");
+const { getPaymentSettings } = require("../services/payments");
+const { getPaymentProvider } = require("../services/paymentProviders");
+const { getLoyaltySettings } = require("../services/loyalty");
+const {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    toDateStr,
+    toLocalMinutes,
+    addMonths,
+} = require("../services/timeZone");
 
 const router = express.Router();
 
@@ -146,6 +171,16 @@ const openingHoursSchema = Joi.object({
     }).required(),
 });
 
+const timezoneSchema = Joi.object({
+    timezone: Joi.string()
+        .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error("any.invalid")))
+        .required(),
+});
+
+const slotIntervalSchema = Joi.object({
+    slotIntervalMin: Joi.number().integer().min(5).max(240).required(),
+});
+
 const serviceBodySchema = Joi.object({
     name: Joi.string().min(1).max(100).required(),
     duration: Joi.number().min(1).max(480).required(),
@@ -202,11 +237,25 @@ router.get("/:id/stats", authAdmin, async (req, res) => {
         if (!isValidObjectId(businessId)) return res.status(400).json({ error: "Invalid id" });
         if (business && business !== businessId) return res.status(403).json({ error: "Access denied" });
 
+        const biz = await BusinessModel.findById(businessId).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        // Month boundaries follow the business local calendar
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+        const monthStart = (year, monthIndex) => {
+            const d = new Date(Date.UTC(year, monthIndex, 1));
+            return zonedTimeToUtc(d.toISOString().slice(0, 10), 0, timeZone);
+        };
+
         const now = new Date();
-        const startOfCurrentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        const threeMonthsAgo = new Date();
-        threeMonthsAgo.setMonth(now.getMonth() - 3);
+        const { year, month } = getZonedParts(now, timeZone);
+        const startOfCurrentMonth = monthStart(year, month - 1);
+        const startOfLastMonth = monthStart(year, month - 2);
+        const threeMonthsAgo = zonedTimeToUtc(
+            addMonths(toDateStr(now, timeZone), -3),
+            toLocalMinutes(now, timeZone),
+            timeZone
+        );
 
         const [
             totalClients,
@@ -549,7 +598,7 @@ router.patch("/colors", authAdmin, async (req, res) => {
     }
 });
 
-/* 📝 UPDATE INFO (Message, About, Address, OpeningHours) */
+/* 📝 UPDATE INFO (Message, About, Address, OpeningHours, Timezone, SlotInterval) */
 // Grouping similar update logic is also an option, but keeping separate routes is fine for clarity.
 
 router.patch("/:id/message", authAdmin, async (req, res) => {
@@ -652,6 +701,348 @@ router.patch("/:id/opening-hours", authAdmin, async (req, res) => {
     }
 });
 
+router.patch("/:id/timezone", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = timezoneSchema.validate(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid timezone", details: error.details });
+
+        const updated = await BusinessModel.findByIdAndUpdate(
+            businessId,
+            { timezone: value.timezone },
+            { new: true }
+        );
+        if (!updated) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ msg: "Timezone updated", business: updated });
+    } catch (err) {
+        console.error("PATCH /timezone error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/slot-interval", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = slotIntervalSchema.validate(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid slotIntervalMin", details: error.details });
+
+        const updated = await BusinessModel.findByIdAndUpdate(
+            businessId,
+            { slotIntervalMin: value.slotIntervalMin },
+            { new: true }
+        );
+        if (!updated) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ msg: "Slot interval updated", business: updated });
+    } catch (err) {
+        console.error("PATCH /slot-interval error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   📋 BOOKING POLICY
+   Includes the slot interval (stored as slotIntervalMin on the business)
+====================================================== */
+
+router.get("/:id/booking-policy", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("slotIntervalMin bookingPolicy").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ bookingPolicy: getBookingPolicy(biz) });
+    } catch (err) {
+        console.error("GET /booking-policy error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/booking-policy", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validateBookingPolicy(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid bookingPolicy", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        // Partial update on top of the effective policy (older businesses have none stored)
+        const { slotIntervalMin, ...policy } = { ...getBookingPolicy(biz), ...value };
+        biz.bookingPolicy = policy;
+        biz.slotIntervalMin = slotIntervalMin;
+        await biz.save();
+
+        res.json({ msg: "Booking policy updated", bookingPolicy: getBookingPolicy(biz) });
+    } catch (err) {
+        console.error("PATCH /booking-policy error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   ⏰ APPOINTMENT REMINDERS
+   Offsets apply to appointments booked / changed from now on
+====================================================== */
+
+router.get("/:id/reminders", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("reminders").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ reminders: getReminderSettings(biz) });
+    } catch (err) {
+        console.error("GET /reminders error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/reminders", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validateReminders(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid reminders", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        biz.reminders = { ...getReminderSettings(biz), ...value };
+        await biz.save();
+
+        res.json({ msg: "Reminders updated", reminders: getReminderSettings(biz) });
+    } catch (err) {
+        console.error("PATCH /reminders error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   🔄 AUTO STATUS (past appointments)
+   action "complete" marks them completed, "review" queues them
+   for GET /appointments/needs-review
+====================================================== */
+
+router.get("/:id/auto-status", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("autoStatus").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ autoStatus: getAutoStatusSettings(biz) });
+    } catch (err) {
+        console.error("GET /auto-status error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/auto-status", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validateAutoStatus(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid autoStatus", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        biz.autoStatus = { ...getAutoStatusSettings(biz), ...value };
+        await biz.save();
+
+        res.json({ msg: "Auto status updated", autoStatus: getAutoStatusSettings(biz) });
+    } catch (err) {
+        console.error("PATCH /auto-status error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   🚫 NO-SHOW POLICY
+   e.g. 3 no-shows in 90 days -> no online booking for 30 days
+====================================================== */
+
+router.get("/:id/no-show-policy", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("noShowPolicy").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ noShowPolicy: getNoShowPolicy(biz) });
+    } catch (err) {
+        console.error("GET /no-show-policy error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/no-show-policy", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validateNoShowPolicy(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid noShowPolicy", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        biz.noShowPolicy = { ...getNoShowPolicy(biz), ...value };
+        await biz.save();
+
+        res.json({ msg: "No-show policy updated", noShowPolicy: getNoShowPolicy(biz) });
+    } catch (err) {
+        console.error("PATCH /no-show-policy error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   💳 PAYMENT SETTINGS
+   Online deposits at booking time (percent of the price or a fixed amount)
+====================================================== */
+
+router.get("/:id/payment-settings", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("paymentSettings").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ paymentSettings: getPaymentSettings(biz) });
+    } catch (err) {
+        console.error("GET /payment-settings error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/payment-settings", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validatePaymentSettings(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid paymentSettings", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        // Deposits need a provider this server can actually use (the default one may be disabled)
+        const paymentSettings = { ...getPaymentSettings(biz), ...value };
+        if (paymentSettings.depositsEnabled && !getPaymentProvider(paymentSettings.provider)) {
+            return res.status(400).json({ msg: "Payment provider unavailable", provider: paymentSettings.provider });
+        }
+
+        biz.paymentSettings = paymentSettings;
+        await biz.save();
+
+        res.json({ msg: "Payment settings updated", paymentSettings: getPaymentSettings(biz) });
+    } catch (err) {
+        console.error("PATCH /payment-settings error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+/* ======================================================
+   ⭐ LOYALTY PROGRAM
+   Points per completed appointment (or per shekel), redeemed as a booking discount
+====================================================== */
+
+router.get("/:id/loyalty", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const biz = await BusinessModel.findById(businessId).select("loyalty").lean();
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        res.json({ loyalty: getLoyaltySettings(biz) });
+    } catch (err) {
+        console.error("GET /loyalty error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
+router.patch("/:id/loyalty", authAdmin, async (req, res) => {
+    try {
+        const businessId = (req.params.id ?? "").trim();
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(businessId)) return res.status(400).json({ msg: "Invalid id" });
+        if (business && business !== businessId) return res.status(403).json({ msg: "Access denied" });
+
+        const { error, value } = validateLoyalty(req.body);
+        if (error) return res.status(400).json({ msg: "Invalid loyalty", details: error.details });
+
+        const biz = await BusinessModel.findById(businessId);
+        if (!biz) return res.status(404).json({ msg: "Business not found" });
+
+        biz.loyalty = { ...getLoyaltySettings(biz), ...value };
+        await biz.save();
+
+        res.json({ msg: "Loyalty settings updated", loyalty: getLoyaltySettings(biz) });
+    } catch (err) {
+        console.error("PATCH /loyalty error:", err);
+        res.status(500).json({ msg: "Server error", error: err.message });
+    }
+});
+
 /* ======================================================
    💈 SERVICES CRUD
 ====================================================== */
@@ -0,0 +1,124 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const { auth } = require("../auth/auth");
+const {
+    FEED_KINDS,
+    verifyFeedSignature,
+    buildFeedUrls,
+    buildWorkerFeed,
+    buildClientFeed,
+} = require("../services/calendarFeeds");
+const { getBaseUrl } = require("../services/utils_url");
+
+// Helper
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Helper: Is the user a worker (or the owner) of the business?
+ */
+const isBusinessWorker = (biz, userId) =>
+    String(biz.owner) === String(userId) || (biz.workers || []).some((w) => String(w) === String(userId));
+
+/**
+ * Helper: Feeds available to a user
+ */
+async function getAvailableKinds(user) {
+    const biz = await BusinessModel.findById(user.business).select("owner workers").lean();
+    const kinds = ["client"];
+    if (biz && user.role === "admin" && isBusinessWorker(biz, user._id)) kinds.unshift("worker");
+    return kinds;
+}
+
+/* ======================================================
+   🔗 MY FEED URLS
+   GET /calendar/feeds
+====================================================== */
+router.get("/feeds", auth, async (req, res) => {
+    try {
+        const { _id: userId, business } = req.tokenData;
+
+        const user = await UserModel.findOne({ _id: userId, business })
+            .select("business role calendarFeedVersion")
+            .lean();
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        const kinds = await getAvailableKinds(user);
+        res.json({ feeds: buildFeedUrls(getBaseUrl(req), user, kinds) });
+    } catch (err) {
+        console.error("GET /calendar/feeds error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ♻️ REVOKE FEED URLS
+   Invalidates every URL issued so far and returns fresh ones
+   POST /calendar/feeds/revoke
+====================================================== */
+router.post("/feeds/revoke", auth, async (req, res) => {
+    try {
+        const { _id: userId, business } = req.tokenData;
+
+        const user = await UserModel.findOneAndUpdate(
+            { _id: userId, business },
+            { $inc: { calendarFeedVersion: 1 } },
+            { new: true }
+        )
+            .select("business role calendarFeedVersion")
+            .lean();
+        if (!user) return res.status(404).json({ error: "User not found" });
+
+        const kinds = await getAvailableKinds(user);
+        res.json({ ok: true, feeds: buildFeedUrls(getBaseUrl(req), user, kinds) });
+    } catch (err) {
+        console.error("POST /calendar/feeds/revoke error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📅 ICS FEED (Public - authorized by the URL signature)
+   GET /calendar/feeds/:userId/:kind.ics?sig=...
+====================================================== */
+router.get("/feeds/:userId/:file", async (req, res) => {
+    try {
+        const { userId, file } = req.params;
+        const kind = file.replace(/\.ics$/, "");
+
+        if (!isValidObjectId(userId) || !FEED_KINDS.includes(kind) || !file.endsWith(".ics")) {
+            return res.status(404).json({ error: "Feed not found" });
+        }
+
+        const user = await UserModel.findById(userId).select("name business role calendarFeedVersion").lean();
+        if (!user || !verifyFeedSignature(userId, kind, user.calendarFeedVersion || 0, req.query.sig)) {
+            return res.status(404).json({ error: "Feed not found" });
+        }
+
+        const biz = await BusinessModel.findById(user.business).select("name address owner workers").lean();
+        if (!biz) return res.status(404).json({ error: "Feed not found" });
+
+        // Workers removed from the business lose their feed
+        if (kind === "worker" && !(user.role === "admin" && isBusinessWorker(biz, user._id))) {
+            return res.status(404).json({ error: "Feed not found" });
+        }
+
+        const ics = kind === "worker" ? await buildWorkerFeed(biz, user) : await buildClientFeed(biz, user);
+
+        res.set({
+            "Content-Type": "text/calendar; charset=utf-8",
+            "Content-Disposition": `inline; filename="${kind}.ics"`,
+            "Cache-Control": "private, max-age=300",
+        });
+        res.send(ics);
+    } catch (err) {
+        console.error("GET /calendar/feeds/:userId error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -3,7 +3,17 @@ const usersR = require("./users");
 const blocksR = require("./blocks");
 const businessesR = require("./businesses");
 const appointmentsR = require("./appointments");
+const seriesR = require("./series");
 const notificationsR = require("./notifications");
+const waitlistR = require("./waitlist");
+const queueR = require("./queue");
+const eventsR = require("./events");
+const calendarR = require("./calendar");
+const reportsR = require("./reports");
+const paymentsR = require("./payments");
+const couponsR = require("./coupons");
+const packagesR = require("./packages");
+const loyaltyR = require("./loyalty");
 
 /**
  * Initialize all application routes
@@ -15,8 +25,18 @@ exports.routesInit = (app) => {
     app.use("/users", usersR);
     app.use("/blocks", blocksR);
     app.use("/businesses", businessesR);
+    app.use("/appointments/series", seriesR); // Must be registered before /appointments
     app.use("/appointments", appointmentsR);
     app.use("/notifications", notificationsR);
+    app.use("/waitlist", waitlistR);
+    app.use("/queue", queueR);
+    app.use("/events", eventsR);
+    app.use("/calendar", calendarR);
+    app.use("/reports", reportsR);
+    app.use("/payments", paymentsR);
+    app.use("/coupons", couponsR);
+    app.use("/packages", packagesR);
+    app.use("/loyalty", loyaltyR);
 
     // 404 Handler - Catch-all for undefined routes
     app.use("*", (req, res) => {
@@ -0,0 +1,260 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { BusinessModel } = require("../models/businessModel");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { CouponModel, validateCoupon, validateCouponUpdate } = require("../models/couponModel");
+const { auth, authAdmin } = require("../auth/auth");
+const { resolveServiceSnapshot } = require("../services/scheduling");
+const { DEFAULT_TIMEZONE, isValidDateStr, zonedDayRange } = require("../services/timeZone");
+const { findCouponByCode, evaluateCoupon, couponUsageReport } = require("../services/coupons");
+
+// Helpers
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const previewSchema = Joi.object({
+    code: Joi.string().trim().max(30).required(),
+    serviceId: Joi.string().hex().length(24).required(),
+    start: Joi.date().iso().required(),
+});
+
+/**
+ * Helper: Every service restriction must point at the business catalog
+ */
+const hasUnknownServices = (biz, serviceIds = []) =>
+    serviceIds.some((id) => !(biz.services || []).some((s) => String(s._id) === String(id)));
+
+/* ======================================================
+   🏷️ PREVIEW A COUPON (Client)
+   POST /coupons/preview  { code, serviceId, start }
+   Same checks as booking - returns the price after the discount
+====================================================== */
+router.post("/preview", auth, async (req, res) => {
+    try {
+        const { _id: clientId, business } = req.tokenData;
+
+        const { error, value } = previewSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const biz = await BusinessModel.findById(business).select("services timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const service = resolveServiceSnapshot(biz, value.serviceId);
+        if (!service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const coupon = await findCouponByCode(business, value.code);
+        const pricing = await evaluateCoupon(coupon, {
+            client: clientId,
+            service,
+            start: value.start,
+            timeZone: biz.timezone || DEFAULT_TIMEZONE,
+        });
+        if (pricing.error) return res.status(400).json({ error: pricing.error });
+
+        res.json({ code: coupon.code, description: coupon.description, ...pricing });
+    } catch (err) {
+        console.error("POST /coupons/preview error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📊 USAGE REPORT (Admin)
+   GET /coupons/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+   Per coupon: bookings, canceled, completed, discount given, revenue, unique clients
+====================================================== */
+router.get("/usage", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+        const { from, to } = req.query;
+
+        if ((from && !isValidDateStr(from)) || (to && !isValidDateStr(to)) || (from && to && to < from)) {
+            return res.status(400).json({ error: "Invalid date range" });
+        }
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const usage = await couponUsageReport(business, {
+            from: from ? zonedDayRange(from, timeZone).start : undefined,
+            to: to ? zonedDayRange(to, timeZone).end : undefined,
+        });
+
+        res.json({ from: from || null, to: to || null, usage });
+    } catch (err) {
+        console.error("GET /coupons/usage error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📜 LIST COUPONS (Admin)
+   GET /coupons?includeInactive=true
+====================================================== */
+router.get("/", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const filter = { business };
+        if (req.query.includeInactive !== "true") filter.active = true;
+
+        const [coupons, usage] = await Promise.all([
+            CouponModel.find(filter).sort({ createdAt: -1 }).lean(),
+            couponUsageReport(business),
+        ]);
+
+        const usageById = new Map(usage.map((u) => [String(u.couponId), u]));
+        res.json(
+            coupons.map((c) => ({
+                ...c,
+                uses: usageById.get(String(c._id))?.active || 0,
+            }))
+        );
+    } catch (err) {
+        console.error("GET /coupons error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🔍 ONE COUPON + ITS USAGE (Admin)
+   GET /coupons/:id
+====================================================== */
+router.get("/:id", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const coupon = await CouponModel.findOne({ _id: id, business }).lean();
+        if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+
+        const [[usage], recent] = await Promise.all([
+            couponUsageReport(business, { couponId: id }),
+            AppointmentModel.find({ business, "service.coupon.couponId": id })
+                .sort({ createdAt: -1 })
+                .limit(20)
+                .select("client worker start status service createdAt")
+                .populate("client", "name phone")
+                .lean(),
+        ]);
+
+        res.json({ coupon, usage: usage || null, recent });
+    } catch (err) {
+        console.error("GET /coupons/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ➕ CREATE COUPON (Admin)
+   POST /coupons
+====================================================== */
+router.post("/", authAdmin, async (req, res) => {
+    try {
+        const { _id: userId, business } = req.tokenData;
+
+        const { error, value } = validateCoupon(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        if (value.validFrom && value.validUntil && value.validUntil <= value.validFrom) {
+            return res.status(400).json({ error: "validUntil must be after validFrom" });
+        }
+
+        const biz = await BusinessModel.findById(business).select("services").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (hasUnknownServices(biz, value.serviceIds)) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const coupon = await CouponModel.create({ ...value, business, createdBy: userId });
+        res.status(201).json(coupon);
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: "COUPON_CODE_EXISTS" });
+        console.error("POST /coupons error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ✏️ UPDATE COUPON (Admin)
+   PATCH /coupons/:id
+   Bookings already made keep the price they got
+====================================================== */
+router.patch("/:id", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = validateCouponUpdate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const coupon = await CouponModel.findOne({ _id: id, business });
+        if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+
+        if (value.serviceIds) {
+            const biz = await BusinessModel.findById(business).select("services").lean();
+            if (hasUnknownServices(biz, value.serviceIds)) {
+                return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+            }
+        }
+
+        coupon.set(value);
+
+        // Rules that span fields are checked on the merged coupon
+        if (coupon.type === "percent" && coupon.value > 100) {
+            return res.status(400).json({ error: "Percent value must be 1-100" });
+        }
+        if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+            return res.status(400).json({ error: "validUntil must be after validFrom" });
+        }
+
+        await coupon.save();
+        res.json(coupon);
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: "COUPON_CODE_EXISTS" });
+        console.error("PATCH /coupons/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🗑️ DELETE COUPON (Admin)
+   DELETE /coupons/:id
+   Used coupons are deactivated instead, so reports keep their code
+====================================================== */
+router.delete("/:id", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const used = await AppointmentModel.exists({ business, "service.coupon.couponId": id });
+
+        if (used) {
+            const coupon = await CouponModel.findOneAndUpdate(
+                { _id: id, business },
+                { $set: { active: false } },
+                { new: true }
+            ).lean();
+            if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+            return res.json({ msg: "Coupon deactivated", coupon });
+        }
+
+        const deleted = await CouponModel.findOneAndDelete({ _id: id, business }).lean();
+        if (!deleted) return res.status(404).json({ error: "Coupon not found" });
+
+        res.json({ msg: "Coupon deleted" });
+    } catch (err) {
+        console.error("DELETE /coupons/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+// Internal Imports
+const { auth, authStream, createStreamToken, STREAM_TOKEN_TTL_SECONDS } = require("../auth/auth");
+const { subscribe, getEventsSince } = require("../services/eventHub");
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Helper
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Helper: Writes one SSE frame
+ */
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/* ======================================================
+   🎫 STREAM TOKEN
+   POST /events/token
+   Short-lived token for EventSource URLs (?token=), so API tokens never land in URLs / logs.
+   Get a fresh one before every (re)connect.
+====================================================== */
+router.post("/token", auth, (req, res) => {
+    try {
+        res.json({ token: createStreamToken(req.tokenData), expiresIn: STREAM_TOKEN_TTL_SECONDS });
+    } catch (err) {
+        console.error("POST /events/token error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📡 LIVE CALENDAR STREAM (Server-Sent Events)
+   GET /events/stream?token=<stream token>[&worker=<id|me>]
+   The feed follows the token:
+   - admins get the whole business (optionally narrowed to one worker)
+   - everyone else gets only events naming them (their own bookings / their own calendar)
+
+   Events: appointment.created | appointment.canceled | appointment.status_changed |
+           appointment.rescheduled | appointment.updated | appointment.payment_updated |
+           block.created | block.updated | block.deleted | block.imported
+   Reconnects send Last-Event-ID (or ?lastEventId=) to receive the missed events.
+   A "reset" event means they can't be replayed - refetch the calendar.
+====================================================== */
+router.get("/stream", authStream, (req, res) => {
+    const { business, _id: userId, role } = req.tokenData;
+
+    const filter = { worker: null, user: null };
+    if (role === "admin") {
+        filter.worker = req.query.worker === "me" ? userId : req.query.worker || null;
+        if (filter.worker && !isValidObjectId(filter.worker)) {
+            return res.status(400).json({ error: "Invalid worker ID" });
+        }
+    } else {
+        filter.user = userId;
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // Replay missed events before going live
+    const lastEventId = req.header("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId) {
+        const { events, reset } = getEventsSince(business, lastEventId, filter);
+        if (reset) {
+            res.write(`event: reset\ndata: {}\n\n`);
+        } else {
+            events.forEach((e) => writeEvent(res, e));
+        }
+    }
+
+    const unsubscribe = subscribe(business, {
+        ...filter,
+        send: (event) => writeEvent(res, event),
+    });
+
+    const heartbeat = setInterval(() => res.write(`: ping\n\n`), HEARTBEAT_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
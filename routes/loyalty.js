@@ -0,0 +1,150 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const { LoyaltyTransactionModel, validateLoyaltyAdjustment } = require("../models/loyaltyTransactionModel");
+const { auth, authAdmin } = require("../auth/auth");
+const { getLoyaltySettings, addLoyaltyTransaction } = require("../services/loyalty");
+const { encodeCursor, decodeCursor, cursorFilter } = require("../services/pagination");
+
+// Helpers
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const historyQuery = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(25),
+    cursor: Joi.string().max(500),
+});
+
+/**
+ * Helper: Balance + one page of the ledger (newest first)
+ * @returns {Promise<{error: string}|{balance: number, history: object[], nextCursor: string|null}>}
+ */
+async function getLoyaltyAccount(business, client, query) {
+    const { error, value } = historyQuery.validate(query);
+    if (error) return { error: error.details?.[0]?.message };
+
+    let cursor = null;
+    if (value.cursor) {
+        cursor = decodeCursor(value.cursor);
+        if (!cursor) return { error: "Invalid cursor" };
+    }
+
+    const user = await UserModel.findOne({ _id: client, business }).select("loyaltyPoints").lean();
+    if (!user) return { notFound: true };
+
+    const filter = { business: new mongoose.Types.ObjectId(String(business)), client: user._id };
+    const pageFilter = cursor ? { $and: [filter, cursorFilter("createdAt", -1, cursor)] } : filter;
+
+    const items = await LoyaltyTransactionModel.find(pageFilter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(value.limit + 1)
+        .lean();
+
+    const hasMore = items.length > value.limit;
+    if (hasMore) items.pop();
+
+    return {
+        balance: user.loyaltyPoints || 0,
+        history: items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], "createdAt") : null,
+    };
+}
+
+/* ======================================================
+   ⭐ MY POINTS (Client)
+   GET /loyalty/me?limit=25&cursor=
+   Balance, program rules and points history
+====================================================== */
+router.get("/me", auth, async (req, res) => {
+    try {
+        const { _id: userId, business } = req.tokenData;
+
+        const biz = await BusinessModel.findById(business).select("loyalty").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const account = await getLoyaltyAccount(business, userId, req.query);
+        if (account.error) return res.status(400).json({ error: account.error });
+        if (account.notFound) return res.status(404).json({ error: "User not found" });
+
+        const settings = getLoyaltySettings(biz);
+        res.json({
+            ...account,
+            program: {
+                enabled: settings.enabled,
+                earnMode: settings.earnMode,
+                pointsPerAppointment: settings.pointsPerAppointment,
+                pointsPerCurrency: settings.pointsPerCurrency,
+                pointValue: settings.pointValue,
+                minRedeemPoints: settings.minRedeemPoints,
+            },
+            balanceValue: Math.round(account.balance * settings.pointValue * 100) / 100,
+        });
+    } catch (err) {
+        console.error("GET /loyalty/me error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   👤 CLIENT POINTS (Admin)
+   GET /loyalty/clients/:clientId?limit=25&cursor=
+====================================================== */
+router.get("/clients/:clientId", authAdmin, async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(clientId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const account = await getLoyaltyAccount(business, clientId, req.query);
+        if (account.error) return res.status(400).json({ error: account.error });
+        if (account.notFound) return res.status(404).json({ error: "User not found" });
+
+        res.json(account);
+    } catch (err) {
+        console.error("GET /loyalty/clients/:clientId error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ✏️ ADJUST CLIENT POINTS (Admin)
+   POST /loyalty/clients/:clientId/adjust  { points, reason }
+   Negative points can't take the balance below zero
+====================================================== */
+router.post("/clients/:clientId/adjust", authAdmin, async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { _id: userId, business } = req.tokenData;
+
+        if (!isValidObjectId(clientId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = validateLoyaltyAdjustment(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const client = await UserModel.findOne({ _id: clientId, business }).select("_id").lean();
+        if (!client) return res.status(404).json({ error: "User not found" });
+
+        const transaction = await addLoyaltyTransaction({
+            business,
+            client: client._id,
+            type: "adjust",
+            points: value.points,
+            description: value.reason,
+            createdBy: userId,
+            requireBalance: true,
+        });
+        if (!transaction) return res.status(400).json({ error: "INSUFFICIENT_POINTS" });
+
+        res.status(201).json({ balance: transaction.balanceAfter, transaction });
+    } catch (err) {
+        console.error("POST /loyalty/clients/:clientId/adjust error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
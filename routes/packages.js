@@ -0,0 +1,220 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const {
+    PackageModel,
+    validatePackage,
+    validatePackageUpdate,
+    validatePackageSale,
+} = require("../models/packageModel");
+const { ClientPackageModel } = require("../models/clientPackageModel");
+const { authAdmin } = require("../auth/auth");
+const { getClientPackages } = require("../services/packages");
+
+// Helpers
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Helper: Every service restriction must point at the business catalog
+ */
+async function hasUnknownServices(business, serviceIds = []) {
+    if (serviceIds.length === 0) return false;
+    const biz = await BusinessModel.findById(business).select("services").lean();
+    return serviceIds.some((id) => !(biz?.services || []).some((s) => String(s._id) === String(id)));
+}
+
+/* ======================================================
+   📦 LIST PACKAGES (Admin)
+   GET /packages?includeInactive=true
+====================================================== */
+router.get("/", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const filter = { business };
+        if (req.query.includeInactive !== "true") filter.active = true;
+
+        const packages = await PackageModel.find(filter).sort({ createdAt: -1 }).lean();
+        res.json(packages);
+    } catch (err) {
+        console.error("GET /packages error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ➕ CREATE PACKAGE (Admin)
+   POST /packages  { name, credits, price, serviceIds?, validDays?, description? }
+====================================================== */
+router.post("/", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value } = validatePackage(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        if (await hasUnknownServices(business, value.serviceIds)) {
+            return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+        }
+
+        const pkg = await PackageModel.create({ ...value, business });
+        res.status(201).json(pkg);
+    } catch (err) {
+        console.error("POST /packages error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ✏️ UPDATE PACKAGE (Admin)
+   PATCH /packages/:id
+   Applies to future sales only - sold packages keep their snapshot
+====================================================== */
+router.patch("/:id", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = validatePackageUpdate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        if (await hasUnknownServices(business, value.serviceIds)) {
+            return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+        }
+
+        const pkg = await PackageModel.findOneAndUpdate({ _id: id, business }, { $set: value }, { new: true }).lean();
+        if (!pkg) return res.status(404).json({ error: "Package not found" });
+
+        res.json(pkg);
+    } catch (err) {
+        console.error("PATCH /packages/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🗑️ RETIRE PACKAGE (Admin)
+   DELETE /packages/:id
+   Stops new sales; credits already sold stay usable
+====================================================== */
+router.delete("/:id", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const pkg = await PackageModel.findOneAndUpdate(
+            { _id: id, business },
+            { $set: { active: false } },
+            { new: true }
+        ).lean();
+        if (!pkg) return res.status(404).json({ error: "Package not found" });
+
+        res.json({ msg: "Package retired", package: pkg });
+    } catch (err) {
+        console.error("DELETE /packages/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   💳 SELL PACKAGE TO A CLIENT (Admin)
+   POST /packages/:id/sell  { client, price?, paymentMethod?, notes? }
+====================================================== */
+router.post("/:id/sell", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: userId, business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = validatePackageSale(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const [pkg, client] = await Promise.all([
+            PackageModel.findOne({ _id: id, business, active: true }).lean(),
+            UserModel.findOne({ _id: value.client, business }).select("_id").lean(),
+        ]);
+        if (!pkg) return res.status(404).json({ error: "Package not found" });
+        if (!client) return res.status(404).json({ error: "User not found" });
+
+        const now = new Date();
+        const clientPackage = await ClientPackageModel.create({
+            business,
+            client: client._id,
+            package: pkg._id,
+            name: pkg.name,
+            serviceIds: pkg.serviceIds,
+            totalCredits: pkg.credits,
+            price: value.price ?? pkg.price,
+            paymentMethod: value.paymentMethod,
+            notes: value.notes || "",
+            purchasedAt: now,
+            expiresAt: pkg.validDays ? new Date(now.getTime() + pkg.validDays * DAY_MS) : null,
+            soldBy: userId,
+        });
+
+        res.status(201).json(clientPackage);
+    } catch (err) {
+        console.error("POST /packages/:id/sell error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   👤 CLIENT BALANCES (Admin)
+   GET /packages/clients/:clientId?includeInactive=true
+====================================================== */
+router.get("/clients/:clientId", authAdmin, async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(clientId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const packages = await getClientPackages(business, clientId, {
+            includeInactive: req.query.includeInactive === "true",
+        });
+        res.json(packages);
+    } catch (err) {
+        console.error("GET /packages/clients/:clientId error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ⛔ CANCEL A SOLD PACKAGE (Admin)
+   POST /packages/client-packages/:id/cancel
+   Remaining credits can no longer be used (refunds are handled outside the app)
+====================================================== */
+router.post("/client-packages/:id/cancel", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const clientPackage = await ClientPackageModel.findOneAndUpdate(
+            { _id: id, business, canceledAt: null },
+            { $set: { canceledAt: new Date() } },
+            { new: true }
+        ).lean();
+        if (!clientPackage) return res.status(404).json({ error: "Package not found" });
+
+        res.json({ msg: "Package canceled", clientPackage });
+    } catch (err) {
+        console.error("POST /packages/client-packages/:id/cancel error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+
+// Internal Imports
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BusinessModel } = require("../models/businessModel");
+const { PaymentModel, validatePayment, validateRefund } = require("../models/paymentModel");
+const { auth, authAdmin } = require("../auth/auth");
+const { getPaymentProvider } = require("../services/paymentProviders");
+const fakeProvider = require("../services/fakePaymentProvider");
+const {
+    getPaymentSettings,
+    syncAndPublish,
+    refundPayment,
+    handleProviderWebhook,
+} = require("../services/payments");
+const { getBaseUrl } = require("../services/utils_url");
+
+// Helper
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/* ======================================================
+   🧾 PAYMENTS OF AN APPOINTMENT
+   GET /payments/appointment/:id
+   Admins see any appointment of the business, clients only their own
+====================================================== */
+router.get("/appointment/:id", auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: userId, business, role } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const filter = { _id: id, business };
+        if (role !== "admin") filter.client = userId;
+
+        const appt = await AppointmentModel.findOne(filter).select("service status paymentStatus paidAmount").lean();
+        if (!appt) return res.status(404).json({ error: "Appointment not found" });
+
+        const payments = await PaymentModel.find({ business, appointment: id }).sort({ createdAt: 1 }).lean();
+
+        res.json({
+            appointmentId: appt._id,
+            price: appt.service.price,
+            paymentStatus: appt.paymentStatus,
+            paidAmount: appt.paidAmount,
+            balance: Math.max(0, Math.round((appt.service.price - appt.paidAmount) * 100) / 100),
+            payments,
+        });
+    } catch (err) {
+        console.error("GET /payments/appointment/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   💵 RECORD A PAYMENT (Admin)
+   POST /payments  { appointmentId, amount, method: cash|card|bit|other, kind?, paidAt?, notes? }
+   Partial payments are separate records
+====================================================== */
+router.post("/", authAdmin, async (req, res) => {
+    try {
+        const { _id: userId, business } = req.tokenData;
+
+        const { error, value } = validatePayment(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const [appt, biz] = await Promise.all([
+            AppointmentModel.findOne({ _id: value.appointmentId, business }).select("client").lean(),
+            BusinessModel.findById(business).select("paymentSettings").lean(),
+        ]);
+        if (!appt) return res.status(404).json({ error: "Appointment not found" });
+
+        const payment = await PaymentModel.create({
+            business,
+            appointment: appt._id,
+            client: appt.client,
+            kind: value.kind,
+            method: value.method,
+            status: "succeeded",
+            amount: value.amount,
+            currency: getPaymentSettings(biz).currency,
+            paidAt: value.paidAt || new Date(),
+            recordedBy: userId,
+            notes: value.notes || "",
+        });
+
+        const updated = await syncAndPublish(appt._id);
+
+        res.status(201).json({
+            payment,
+            paymentStatus: updated?.paymentStatus,
+            paidAmount: updated?.paidAmount,
+        });
+    } catch (err) {
+        console.error("POST /payments error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ↩️ REFUND (Admin)
+   POST /payments/:id/refund  { amount?, reason? }
+   Without an amount - refunds everything not refunded yet
+====================================================== */
+router.post("/:id/refund", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: userId, business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = validateRefund(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const payment = await PaymentModel.findOne({ _id: id, business }).lean();
+        if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+        const result = await refundPayment(payment, { ...value, userId });
+        if (result.error) {
+            return res.status(result.error === "PAYMENT_PROVIDER_ERROR" ? 502 : 409).json({ error: result.error });
+        }
+
+        res.json({ payment: result.payment });
+    } catch (err) {
+        console.error("POST /payments/:id/refund error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🔔 PROVIDER WEBHOOK (Public - authorized by the provider signature)
+   POST /payments/webhooks/:provider
+   Always 200 once authentic, so providers don't retry events we chose to ignore
+====================================================== */
+router.post("/webhooks/:provider", async (req, res) => {
+    try {
+        const provider = getPaymentProvider(req.params.provider);
+        if (!provider) return res.status(404).json({ error: "Unknown provider" });
+
+        const event = provider.parseWebhook(req);
+        if (!event) return res.status(400).json({ error: "Invalid signature" });
+
+        const result = await handleProviderWebhook(provider.name, event);
+        res.json({ received: true, ...result });
+    } catch (err) {
+        console.error("POST /payments/webhooks error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🧪 FAKE PROVIDER CHECKOUT (offline testing only)
+   GET  /payments/fake/checkout/:providerPaymentId
+   POST /payments/fake/checkout/:providerPaymentId/:outcome   (succeeded | failed)
+   The POST sends a signed webhook to this server, like a real provider would.
+   Only available when FAKE_PAYMENTS=true.
+====================================================== */
+const fakeCheckoutEnabled = (req, res, next) => {
+    if (!fakeProvider.isEnabled()) {
+        return res.status(404).json({ error: "Not found" });
+    }
+    next();
+};
+
+router.get("/fake/checkout/:providerPaymentId", fakeCheckoutEnabled, async (req, res) => {
+    try {
+        const { providerPaymentId } = req.params;
+
+        const payment = await PaymentModel.findOne({ provider: fakeProvider.name, providerPaymentId })
+            .select("amount currency status expiresAt")
+            .lean();
+        if (!payment) return res.status(404).json({ error: "Checkout not found" });
+
+        const url = `${getBaseUrl(req)}/payments/fake/checkout/${providerPaymentId}`;
+        res.json({
+            providerPaymentId,
+            amount: payment.amount,
+            currency: payment.currency,
+            status: payment.status,
+            expiresAt: payment.expiresAt,
+            actions: { pay: `${url}/succeeded`, fail: `${url}/failed` },
+        });
+    } catch (err) {
+        console.error("GET /payments/fake/checkout error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/fake/checkout/:providerPaymentId/:outcome", fakeCheckoutEnabled, async (req, res) => {
+    try {
+        const { providerPaymentId, outcome } = req.params;
+        if (!["succeeded", "failed"].includes(outcome)) return res.status(400).json({ error: "Invalid outcome" });
+
+        const payment = await PaymentModel.findOne({ provider: fakeProvider.name, providerPaymentId })
+            .select("amount")
+            .lean();
+        if (!payment) return res.status(404).json({ error: "Checkout not found" });
+
+        const { body, headers } = fakeProvider.buildWebhook(providerPaymentId, outcome, payment.amount);
+        const response = await fetch(`${getBaseUrl(req)}/payments/webhooks/${fakeProvider.name}`, {
+            method: "POST",
+            headers,
+            body,
+        });
+
+        res.json({ ok: response.ok, webhook: await response.json().catch(() => null) });
+    } catch (err) {
+        console.error("POST /payments/fake/checkout error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const {
+    QueueEntryModel,
+    ACTIVE_QUEUE_STATUSES,
+    validateCheckIn,
+    validateWalkIn,
+} = require("../models/queueEntryModel");
+const { auth, authAdmin } = require("../auth/auth");
+const { getOpeningWindow, resolveServiceSnapshot } = require("../services/scheduling");
+const { DEFAULT_TIMEZONE, isValidDateStr, toDateStr } = require("../services/timeZone");
+const { withWorkerLock, LockTimeoutError } = require("../services/workerLock");
+const {
+    getActiveQueue,
+    nextTicketNumber,
+    computeQueueEstimates,
+    pushToClient,
+    notifyNextInQueue,
+} = require("../services/queue");
+
+// Helpers
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const todayOf = (biz) => toDateStr(new Date(), biz.timezone || DEFAULT_TIMEZONE);
+
+const nextSchema = Joi.object({
+    worker: Joi.string().hex().length(24).required(),
+});
+
+const finishSchema = Joi.object({
+    status: Joi.string().valid("served", "skipped").required(),
+});
+
+/**
+ * Helper: Creates a ticket at the end of the worker's queue (under the worker lock).
+ * A client already holding an active ticket today gets { existing } instead.
+ */
+async function addToQueue(business, worker, day, fields) {
+    return await withWorkerLock(business, worker, async () => {
+        if (fields.client) {
+            const existing = await QueueEntryModel.findOne({
+                business,
+                client: fields.client,
+                day,
+                status: { $in: ACTIVE_QUEUE_STATUSES },
+            }).lean();
+            if (existing) return { existing };
+        }
+
+        const number = await nextTicketNumber(business, worker, day);
+        return { entry: await QueueEntryModel.create({ business, worker, day, number, ...fields }) };
+    });
+}
+
+// Duplicate key on the "one active ticket per client" index (a join for another worker won the race)
+const isActiveTicketConflict = (err) => err.code === 11000 && !!err.keyPattern?.client;
+
+/**
+ * Helper: Position & estimates of one entry within its worker's queue
+ */
+async function withEstimates(entry) {
+    const queue = await getActiveQueue(entry.business, entry.worker, entry.day);
+    return computeQueueEstimates(queue).find((e) => String(e._id) === String(entry._id)) || entry;
+}
+
+/* ======================================================
+   📍 MY POSITION
+   Client's active tickets (today) with position & estimated wait
+   GET /queue/my
+====================================================== */
+router.get("/my", auth, async (req, res) => {
+    try {
+        const { _id: clientId, business } = req.tokenData;
+
+        const entries = await QueueEntryModel.find({
+            business,
+            client: clientId,
+            status: { $in: ACTIVE_QUEUE_STATUSES },
+        })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const result = await Promise.all(entries.map(withEstimates));
+        res.json(result);
+    } catch (err) {
+        console.error("GET /queue/my error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📜 WORKER QUEUE (Admin)
+   GET /queue?worker=<id>&date=YYYY-MM-DD (date defaults to today)
+====================================================== */
+router.get("/", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+        const { worker, date } = req.query;
+
+        if (!isValidObjectId(worker)) return res.status(400).json({ error: "Invalid worker ID" });
+        if (date && !isValidDateStr(date)) {
+            return res.status(400).json({ error: "Invalid date format, expected YYYY-MM-DD" });
+        }
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const day = date || todayOf(biz);
+
+        const [active, finished] = await Promise.all([
+            getActiveQueue(business, worker, day),
+            QueueEntryModel.find({
+                business,
+                worker,
+                day,
+                status: { $nin: ACTIVE_QUEUE_STATUSES },
+            })
+                .sort({ number: 1 })
+                .lean(),
+        ]);
+
+        res.json({ day, queue: computeQueueEstimates(active), finished });
+    } catch (err) {
+        console.error("GET /queue error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🙋 CHECK IN (Client)
+   Joins today's queue of a worker - only while the business is open
+   POST /queue/check-in
+====================================================== */
+router.post("/check-in", auth, async (req, res) => {
+    try {
+        const { _id: clientId, business } = req.tokenData;
+
+        const { error, value } = validateCheckIn(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const { worker, serviceId } = value;
+
+        const [biz, clientUser, workerUser] = await Promise.all([
+            BusinessModel.findById(business).select("openingHours timezone services").lean(),
+            UserModel.findOne({ _id: clientId, business }).select("name phone").lean(),
+            UserModel.findOne({ _id: worker, business }).select("_id").lean(),
+        ]);
+
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (!clientUser) return res.status(404).json({ error: "User not found" });
+        if (!workerUser) return res.status(400).json({ error: "Worker not found in business" });
+
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+        const day = todayOf(biz);
+        const window = getOpeningWindow(biz.openingHours, day, timeZone);
+        if (!window || new Date() >= window.end) {
+            return res.status(409).json({ error: "BUSINESS_CLOSED" });
+        }
+
+        const service = resolveServiceSnapshot(biz, serviceId);
+        if (!service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        // One active ticket per client
+        const { entry, existing } = await addToQueue(business, worker, day, {
+            client: clientId,
+            name: clientUser.name,
+            phone: clientUser.phone,
+            source: "app",
+            service,
+        });
+        if (existing) return res.status(409).json({ error: "ALREADY_IN_QUEUE", entry: existing });
+
+        // Checked in to an empty line - they're next
+        notifyNextInQueue(business, worker, day).catch((e) => console.error("Queue push failed:", e));
+
+        res.status(201).json(await withEstimates(entry.toObject()));
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        if (isActiveTicketConflict(err)) return res.status(409).json({ error: "ALREADY_IN_QUEUE" });
+        console.error("POST /queue/check-in error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🚶 ADD WALK-IN (Admin)
+   POST /queue/walk-in
+====================================================== */
+router.post("/walk-in", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value } = validateWalkIn(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const { worker, client, serviceId } = value;
+
+        const [biz, workerUser, clientUser] = await Promise.all([
+            BusinessModel.findById(business).select("timezone services").lean(),
+            UserModel.findOne({ _id: worker, business }).select("_id").lean(),
+            client ? UserModel.findOne({ _id: client, business }).select("name phone").lean() : null,
+        ]);
+
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (!workerUser) return res.status(400).json({ error: "Worker not found in business" });
+        if (client && !clientUser) return res.status(400).json({ error: "Client not found in business" });
+
+        const service = serviceId
+            ? resolveServiceSnapshot(biz, serviceId)
+            : { serviceId: null, ...value.service };
+        if (!service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const day = todayOf(biz);
+
+        const { entry, existing } = await addToQueue(business, worker, day, {
+            client: client || null,
+            name: value.name || clientUser?.name,
+            phone: value.phone ?? clientUser?.phone ?? "",
+            source: "walk_in",
+            service,
+        });
+        if (existing) return res.status(409).json({ error: "ALREADY_IN_QUEUE", entry: existing });
+
+        notifyNextInQueue(business, worker, day).catch((e) => console.error("Queue push failed:", e));
+
+        res.status(201).json(await withEstimates(entry.toObject()));
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        if (isActiveTicketConflict(err)) return res.status(409).json({ error: "ALREADY_IN_QUEUE" });
+        console.error("POST /queue/walk-in error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📣 CALL NEXT (Admin)
+   The currently called ticket is marked served, the first waiting one is called
+   POST /queue/next
+====================================================== */
+router.post("/next", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value } = nextSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const { worker } = value;
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const day = todayOf(biz);
+
+        const result = await withWorkerLock(business, worker, async () => {
+            const now = new Date();
+
+            const served = await QueueEntryModel.updateMany(
+                { business, worker, day, status: "called" },
+                { $set: { status: "served", finishedAt: now } }
+            );
+
+            const called = await QueueEntryModel.findOneAndUpdate(
+                { business, worker, day, status: "waiting" },
+                { $set: { status: "called", calledAt: now } },
+                { sort: { number: 1 }, new: true }
+            ).lean();
+
+            return { servedCount: served.modifiedCount, called };
+        });
+
+        if (result.called) {
+            pushToClient(
+                result.called.client,
+                "It's Your Turn",
+                `Ticket #${result.called.number} - you're being called now`,
+                {
+                    type: "queue_called",
+                    queueEntryId: String(result.called._id),
+                    businessId: String(business),
+                }
+            ).catch((e) => console.error("Queue push failed:", e));
+        }
+
+        notifyNextInQueue(business, worker, day).catch((e) => console.error("Queue push failed:", e));
+
+        const queue = await getActiveQueue(business, worker, day);
+        res.json({ ...result, queue: computeQueueEstimates(queue) });
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        console.error("POST /queue/next error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ✅ MARK SERVED / SKIPPED (Admin)
+   PATCH /queue/:id/status
+====================================================== */
+router.patch("/:id/status", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = finishSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const updated = await QueueEntryModel.findOneAndUpdate(
+            { _id: id, business, status: { $in: ACTIVE_QUEUE_STATUSES } },
+            { $set: { status: value.status, finishedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (!updated) return res.status(404).json({ error: "Queue entry not found" });
+
+        notifyNextInQueue(business, updated.worker, updated.day).catch((e) =>
+            console.error("Queue push failed:", e)
+        );
+
+        res.json(updated);
+    } catch (err) {
+        console.error("PATCH /queue/:id/status error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🚪 LEAVE QUEUE
+   Clients can leave their own ticket, admins can remove any
+   DELETE /queue/:id
+====================================================== */
+router.delete("/:id", auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: userId, business, role } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const filter = { _id: id, business, status: { $in: ACTIVE_QUEUE_STATUSES } };
+        if (role !== "admin") filter.client = userId;
+
+        const updated = await QueueEntryModel.findOneAndUpdate(
+            filter,
+            { $set: { status: "left", finishedAt: new Date() } },
+            { new: true }
+        ).lean();
+
+        if (!updated) return res.status(404).json({ error: "Queue entry not found" });
+
+        notifyNextInQueue(business, updated.worker, updated.day).catch((e) =>
+            console.error("Queue push failed:", e)
+        );
+
+        res.json({ msg: "Left the queue", entry: updated });
+    } catch (err) {
+        console.error("DELETE /queue/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require("express");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { BusinessModel } = require("../models/businessModel");
+const { authAdmin } = require("../auth/auth");
+const { DEFAULT_TIMEZONE, diffDays, isValidDateStr } = require("../services/timeZone");
+const {
+    getComparisonRange,
+    revenueByPeriod,
+    revenueBreakdown,
+    statusRates,
+    workerUtilization,
+    demandAnalytics,
+} = require("../services/reports");
+
+const REPORT_MAX_DAYS = 366;
+
+const dateStr = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/);
+
+// Shared by every report: the range and an optional comparison period
+const rangeQuery = {
+    from: dateStr.required(),
+    to: dateStr.required(),
+    compare: Joi.string().valid("previous", "year"),
+    compareFrom: dateStr,
+    compareTo: dateStr,
+};
+
+/**
+ * Helper: Validates a local days range ("YYYY-MM-DD", `to` inclusive)
+ */
+function checkRange(from, to) {
+    if (!isValidDateStr(from) || !isValidDateStr(to) || to < from) return "Invalid date range";
+    if (diffDays(from, to) >= REPORT_MAX_DAYS) return `Date range is limited to ${REPORT_MAX_DAYS} days`;
+    return null;
+}
+
+/**
+ * Helper: Validates the query and resolves the report range + comparison range.
+ * A custom comparison (compareFrom & compareTo) wins over `compare`.
+ * @returns {{error: string}|{value: object, range: object, compareRange: object|null}}
+ */
+function parseReportQuery(schema, query) {
+    const { error, value } = schema.validate(query);
+    if (error) return { error: error.details?.[0]?.message };
+
+    const range = { from: value.from, to: value.to };
+    const rangeError = checkRange(range.from, range.to);
+    if (rangeError) return { error: rangeError };
+
+    let compareRange = null;
+    if (value.compareFrom || value.compareTo) {
+        compareRange = { from: value.compareFrom, to: value.compareTo };
+        const compareError = checkRange(compareRange.from, compareRange.to);
+        if (compareError) return { error: `Comparison: ${compareError}` };
+    } else if (value.compare) {
+        compareRange = getComparisonRange(range, value.compare);
+    }
+
+    return { value, range, compareRange };
+}
+
+/**
+ * Helper: Workers of the business (owner included), or just `worker` when it belongs to the business
+ * @returns {string[]|null} - null when `worker` isn't one of them
+ */
+function resolveWorkers(biz, worker) {
+    const allWorkers = [...new Set([biz.owner, ...(biz.workers || [])].filter(Boolean).map(String))];
+    if (!worker) return allWorkers;
+    return allWorkers.includes(worker) ? [worker] : null;
+}
+
+/**
+ * Helper: Runs a report for the range (and the comparison range, if any)
+ */
+async function withComparison(range, compareRange, run) {
+    const [data, compareData] = await Promise.all([run(range), compareRange ? run(compareRange) : null]);
+
+    const result = { range, data };
+    if (compareRange) result.comparison = { range: compareRange, data: compareData };
+    return result;
+}
+
+/* ======================================================
+   💰 REVENUE OVER TIME (Admin)
+   GET /reports/revenue?from&to&groupBy=day|week|month&compare=previous|year
+   Completed appointments only, buckets in the business time zone
+====================================================== */
+const revenueQuerySchema = Joi.object({
+    ...rangeQuery,
+    groupBy: Joi.string().valid("day", "week", "month").default("day"),
+});
+
+router.get("/revenue", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value, range, compareRange } = parseReportQuery(revenueQuerySchema, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const result = await withComparison(range, compareRange, async (r) => {
+            const buckets = await revenueByPeriod(business, r, value.groupBy, timeZone);
+            return {
+                total: buckets.reduce((sum, b) => sum + b.revenue, 0),
+                count: buckets.reduce((sum, b) => sum + b.count, 0),
+                buckets,
+            };
+        });
+
+        res.json({ groupBy: value.groupBy, ...result });
+    } catch (err) {
+        console.error("GET /reports/revenue error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📊 REVENUE BREAKDOWN (Admin)
+   GET /reports/breakdown?from&to&by=worker|service&compare=previous|year
+====================================================== */
+const breakdownQuerySchema = Joi.object({
+    ...rangeQuery,
+    by: Joi.string().valid("worker", "service").default("worker"),
+});
+
+router.get("/breakdown", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value, range, compareRange } = parseReportQuery(breakdownQuerySchema, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const result = await withComparison(range, compareRange, (r) =>
+            revenueBreakdown(business, r, value.by, timeZone)
+        );
+
+        res.json({ by: value.by, ...result });
+    } catch (err) {
+        console.error("GET /reports/breakdown error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🚫 CANCELLATION & NO-SHOW RATES (Admin)
+   GET /reports/rates?from&to&compare=previous|year
+====================================================== */
+const ratesQuerySchema = Joi.object(rangeQuery);
+
+router.get("/rates", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, range, compareRange } = parseReportQuery(ratesQuerySchema, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const biz = await BusinessModel.findById(business).select("timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const result = await withComparison(range, compareRange, (r) => statusRates(business, r, timeZone));
+
+        res.json(result);
+    } catch (err) {
+        console.error("GET /reports/rates error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ⏱️ WORKER UTILIZATION (Admin)
+   GET /reports/utilization?from&to&worker=&compare=previous|year
+   Booked minutes vs open minutes (opening hours minus blocks)
+====================================================== */
+const utilizationQuerySchema = Joi.object({
+    ...rangeQuery,
+    worker: Joi.string().hex().length(24),
+});
+
+router.get("/utilization", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value, range, compareRange } = parseReportQuery(utilizationQuerySchema, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const biz = await BusinessModel.findById(business).select("owner workers openingHours timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const workers = resolveWorkers(biz, value.worker);
+        if (!workers) return res.status(404).json({ error: "Worker not found" });
+
+        const result = await withComparison(range, compareRange, (r) => workerUtilization(biz, workers, r, timeZone));
+
+        res.json(result);
+    } catch (err) {
+        console.error("GET /reports/utilization error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🔥 DEMAND ANALYTICS / PEAK HOURS (Admin)
+   GET /reports/demand?from&to&worker=&compare=previous|year
+   Weekday x hour heatmap, lead time, day fill and top services
+====================================================== */
+const demandQuerySchema = Joi.object({
+    ...rangeQuery,
+    worker: Joi.string().hex().length(24),
+    top: Joi.number().integer().min(1).max(50).default(10),
+});
+
+router.get("/demand", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const { error, value, range, compareRange } = parseReportQuery(demandQuerySchema, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const biz = await BusinessModel.findById(business).select("owner workers openingHours timezone").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+
+        const workers = resolveWorkers(biz, value.worker);
+        if (!workers) return res.status(404).json({ error: "Worker not found" });
+
+        const result = await withComparison(range, compareRange, (r) =>
+            demandAnalytics(biz, workers, r, timeZone, { topServices: value.top })
+        );
+
+        res.json({ timeZone, ...result });
+    } catch (err) {
+        console.error("GET /reports/demand error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
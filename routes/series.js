@@ -0,0 +1,463 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const { AppointmentModel } = require("../models/appointmentModel");
+const {
+    AppointmentSeriesModel,
+    MAX_SERIES_OCCURRENCES,
+    validateSeries,
+} = require("../models/appointmentSeriesModel");
+const { authAdmin } = require("../auth/auth");
+const { notifyAdmins } = require("../services/adminNotify");
+const {
+    buildSeriesOccurrences,
+    checkAppointmentOverlap,
+    checkBookingWindow,
+    resolveServiceSnapshot,
+} = require("../services/scheduling");
+const {
+    DEFAULT_TIMEZONE,
+    addDays,
+    diffDays,
+    toDateStr,
+    toLocalMinutes,
+    zonedTimeToUtc,
+} = require("../services/timeZone");
+const { withWorkerLock, LockTimeoutError } = require("../services/workerLock");
+const { cancelAppointmentReminders, syncAppointmentReminders } = require("../services/reminders");
+const { publishAppointmentEvent } = require("../services/eventHub");
+const { offerFreedSlot } = require("../services/waitlist");
+const { checkBookedCouponForStart } = require("../services/coupons");
+
+// ---------------------------------------------------------
+// Helpers & Validation
+// ---------------------------------------------------------
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const SCOPES = ["this", "following"];
+
+const editSeriesSchema = Joi.object({
+    appointmentId: Joi.string().hex().length(24).required(),
+    scope: Joi.string().valid(...SCOPES).required(),
+
+    // New start of the selected occurrence; following ones keep the same day shift & time of day
+    start: Joi.date().iso(),
+    worker: Joi.string().hex().length(24),
+    serviceId: Joi.string().hex().length(24),
+    notes: Joi.string().max(1000).allow("", null),
+
+    allowPartial: Joi.boolean().default(false),
+}).or("start", "worker", "serviceId", "notes");
+
+const cancelSeriesSchema = Joi.object({
+    appointmentId: Joi.string().hex().length(24).required(),
+    scope: Joi.string().valid(...SCOPES).required(),
+});
+
+/**
+ * Helper: Returns the reason an occurrence can't be booked, or null.
+ * Must be called while holding the worker lock.
+ */
+async function findOccurrenceConflict(biz, worker, start, duration, excludeIds = null) {
+    if (new Date(start) <= new Date()) return "IN_PAST";
+
+    const scheduleError = await checkBookingWindow(biz, worker, start, duration);
+    if (scheduleError) return scheduleError;
+
+    const overlap = await checkAppointmentOverlap(biz._id, worker, start, duration, excludeIds);
+    return overlap ? "SLOT_TAKEN" : null;
+}
+
+/**
+ * Helper: Selected occurrence + (optionally) every later confirmed one.
+ */
+async function getScopeTargets(seriesId, anchor, scope) {
+    if (scope === "this") return [anchor];
+
+    return await AppointmentModel.find({
+        seriesId,
+        status: "confirmed",
+        start: { $gte: anchor.start },
+    })
+        .sort({ start: 1 })
+        .lean();
+}
+
+// ---------------------------------------------------------
+// Routes
+// ---------------------------------------------------------
+
+/**
+ * GET /appointments/series/:seriesId
+ * Admin: Series rule + all its occurrences
+ */
+router.get("/:seriesId", authAdmin, async (req, res) => {
+    try {
+        const { seriesId } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(seriesId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const series = await AppointmentSeriesModel.findOne({ _id: seriesId, business })
+            .populate("client", "name phone")
+            .populate("worker", "name")
+            .lean();
+
+        if (!series) return res.status(404).json({ error: "Series not found" });
+
+        const appointments = await AppointmentModel.find({ seriesId, business })
+            .sort({ start: 1 })
+            .lean();
+
+        return res.json({ series, appointments });
+    } catch (err) {
+        console.error("GET /series error:", err);
+        return res.status(502).json({ error: "Server error" });
+    }
+});
+
+/**
+ * POST /appointments/series
+ * Admin: Create a recurring series (weekly / biweekly / monthly)
+ * Conflicting occurrences are returned in `conflicts`. Unless `allowPartial` is set,
+ * a single conflict aborts the whole series.
+ */
+router.post("/", authAdmin, async (req, res) => {
+    const { business, _id: adminId } = req.tokenData;
+
+    const { error, value } = validateSeries(req.body);
+    if (error) {
+        return res.status(400).json({
+            error: error.details?.[0]?.message || "Validation error",
+        });
+    }
+
+    const { client, worker, serviceId, start, frequency, until, count, notes, allowPartial } = value;
+
+    try {
+        const [clientUser, workerUser, biz] = await Promise.all([
+            UserModel.findOne({ _id: client, business }).select("_id").lean(),
+            UserModel.findOne({ _id: worker, business }).select("_id").lean(),
+            BusinessModel.findById(business).select("openingHours timezone services").lean(),
+        ]);
+
+        if (!clientUser) return res.status(400).json({ error: "Client not found in business" });
+        if (!workerUser) return res.status(400).json({ error: "Worker not found in business" });
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const service = serviceId
+            ? resolveServiceSnapshot(biz, serviceId)
+            : { serviceId: null, ...value.service };
+
+        if (!service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const starts = buildSeriesOccurrences({
+            start,
+            frequency,
+            until,
+            count,
+            timeZone: biz.timezone || DEFAULT_TIMEZONE,
+            max: MAX_SERIES_OCCURRENCES,
+        });
+
+        const result = await withWorkerLock(business, worker, async () => {
+            const conflicts = [];
+            const free = [];
+
+            for (const [index, occurrenceStart] of starts.entries()) {
+                const reason = await findOccurrenceConflict(biz, worker, occurrenceStart, service.duration);
+                if (reason) conflicts.push({ index, start: occurrenceStart, reason });
+                else free.push({ index, start: occurrenceStart });
+            }
+
+            if (free.length === 0 || (conflicts.length > 0 && !allowPartial)) {
+                return { conflicts, series: null, appointments: [] };
+            }
+
+            // Occurrences first, then the series - a failure in either leaves nothing behind
+            const seriesId = new mongoose.Types.ObjectId();
+            try {
+                const appointments = await AppointmentModel.insertMany(
+                    free.map((o) => ({
+                        business,
+                        client,
+                        worker,
+                        service,
+                        start: o.start,
+                        status: "confirmed",
+                        notes: notes || "",
+                        seriesId,
+                        seriesIndex: o.index,
+                    }))
+                );
+
+                const series = await AppointmentSeriesModel.create({
+                    _id: seriesId,
+                    business,
+                    client,
+                    worker,
+                    service,
+                    frequency,
+                    start,
+                    until: until || null,
+                    count: count || null,
+                    notes: notes || "",
+                    createdBy: adminId,
+                });
+
+                return { conflicts, series, appointments };
+            } catch (createErr) {
+                await AppointmentModel.deleteMany({ business, seriesId });
+                throw createErr;
+            }
+        });
+
+        if (!result.series) {
+            return res.status(409).json({ error: "SERIES_CONFLICTS", conflicts: result.conflicts });
+        }
+
+        notifyAdmins(
+            business,
+            "appointment_created",
+            "New Recurring Series",
+            `${result.appointments.length} appointments were booked in a new series`,
+            { seriesId: String(result.series._id) }
+        ).catch((e) => console.error("Notify failed:", e));
+
+        for (const appt of result.appointments) {
+            syncAppointmentReminders(appt).catch((e) => console.error("Reminder sync failed:", e));
+            publishAppointmentEvent("appointment.created", appt);
+        }
+
+        return res.status(201).json(result);
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        if (err.code === 11000) return res.status(409).json({ error: "SLOT_TAKEN" });
+
+        console.error("POST /series error:", err);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+/**
+ * PATCH /appointments/series/:seriesId
+ * Admin: Edit "this occurrence only" or "this and all following"
+ */
+router.patch("/:seriesId", authAdmin, async (req, res) => {
+    try {
+        const { seriesId } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(seriesId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = editSeriesSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const [series, anchor, biz] = await Promise.all([
+            AppointmentSeriesModel.findOne({ _id: seriesId, business }),
+            AppointmentModel.findOne({ _id: value.appointmentId, seriesId, business }).lean(),
+            BusinessModel.findById(business).select("openingHours timezone services").lean(),
+        ]);
+
+        if (!series) return res.status(404).json({ error: "Series not found" });
+        if (!anchor) return res.status(404).json({ error: "Appointment not found in series" });
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (anchor.status !== "confirmed") {
+            return res.status(400).json({ error: "ONLY_CONFIRMED_CAN_BE_EDITED" });
+        }
+
+        if (value.worker) {
+            const workerUser = await UserModel.findOne({ _id: value.worker, business }).select("_id").lean();
+            if (!workerUser) return res.status(400).json({ error: "Worker not found in business" });
+        }
+
+        const service = value.serviceId ? resolveServiceSnapshot(biz, value.serviceId) : null;
+        if (value.serviceId && !service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const targets = await getScopeTargets(seriesId, anchor, value.scope);
+        const targetIds = targets.map((t) => t._id);
+
+        // Start change = same local day shift + new local time of day for every target
+        const timeZone = biz.timezone || DEFAULT_TIMEZONE;
+        const dayShift = value.start
+            ? diffDays(toDateStr(anchor.start, timeZone), toDateStr(value.start, timeZone))
+            : 0;
+        const minutes = value.start ? toLocalMinutes(value.start, timeZone) : null;
+
+        const planned = targets.map((t) => ({
+            _id: t._id,
+            worker: String(value.worker || t.worker),
+            service: service || t.service,
+            start: value.start
+                ? zonedTimeToUtc(addDays(toDateStr(t.start, timeZone), dayShift), minutes, timeZone)
+                : t.start,
+        }));
+
+        const lockedWorkers = [...targets.map((t) => t.worker), ...planned.map((p) => p.worker)];
+
+        const result = await withWorkerLock(business, lockedWorkers, async () => {
+            const conflicts = [];
+            const ok = [];
+
+            for (const p of planned) {
+                // Ignore every target - they are all moving together.
+                // A booked coupon must still apply on the new day.
+                const reason =
+                    (await findOccurrenceConflict(biz, p.worker, p.start, p.service.duration, targetIds)) ||
+                    (await checkBookedCouponForStart(p.service, p.start, timeZone));
+                if (reason) conflicts.push({ appointmentId: p._id, start: p.start, reason });
+                else ok.push(p);
+            }
+
+            if (ok.length === 0 || (conflicts.length > 0 && !value.allowPartial)) {
+                return { conflicts, updated: null };
+            }
+
+            await AppointmentModel.bulkWrite(
+                ok.map((p) => ({
+                    updateOne: {
+                        filter: { _id: p._id, business, status: "confirmed" },
+                        update: {
+                            $set: {
+                                worker: p.worker,
+                                service: p.service,
+                                start: p.start,
+                                ...(value.notes !== undefined ? { notes: value.notes || "" } : {}),
+                            },
+                        },
+                    },
+                }))
+            );
+
+            const updated = await AppointmentModel.find({ _id: { $in: ok.map((p) => p._id) } })
+                .sort({ start: 1 })
+                .lean();
+
+            return { conflicts, updated };
+        });
+
+        if (!result.updated) {
+            return res.status(409).json({ error: "SERIES_CONFLICTS", conflicts: result.conflicts });
+        }
+
+        // "Following" edits also change the rule used for the rest of the series
+        if (value.scope === "following") {
+            // The rule start moves like the occurrences: same day shift, new time of day
+            if (value.start) {
+                series.start = zonedTimeToUtc(
+                    addDays(toDateStr(series.start, timeZone), dayShift),
+                    minutes,
+                    timeZone
+                );
+            }
+            if (value.worker) series.worker = value.worker;
+            if (service) series.service = service;
+            if (value.notes !== undefined) series.notes = value.notes || "";
+            await series.save();
+        }
+
+        const previousById = new Map(targets.map((t) => [String(t._id), t]));
+        for (const appt of result.updated) {
+            const previous = previousById.get(String(appt._id));
+            syncAppointmentReminders(appt).catch((e) => console.error("Reminder sync failed:", e));
+
+            // Moved away - the old slot is free for the waitlist
+            const moved =
+                previous &&
+                (String(previous.start) !== String(appt.start) || String(previous.worker) !== String(appt.worker));
+            if (moved) offerFreedSlot(previous).catch((e) => console.error("Waitlist offer failed:", e));
+
+            publishAppointmentEvent("appointment.updated", appt, {
+                previousStart: previous?.start,
+                previousWorker: previous?.worker,
+            });
+        }
+
+        return res.json({ series, appointments: result.updated, conflicts: result.conflicts });
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        if (err.code === 11000) return res.status(409).json({ error: "SLOT_TAKEN" });
+
+        console.error("PATCH /series error:", err);
+        return res.status(502).json({ error: "Server error" });
+    }
+});
+
+/**
+ * PATCH /appointments/series/:seriesId/cancel
+ * Admin: Cancel "this occurrence only" or "this and all following"
+ */
+router.patch("/:seriesId/cancel", authAdmin, async (req, res) => {
+    try {
+        const { seriesId } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidObjectId(seriesId)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = cancelSeriesSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const [series, anchor] = await Promise.all([
+            AppointmentSeriesModel.findOne({ _id: seriesId, business }),
+            AppointmentModel.findOne({ _id: value.appointmentId, seriesId, business }).lean(),
+        ]);
+
+        if (!series) return res.status(404).json({ error: "Series not found" });
+        if (!anchor) return res.status(404).json({ error: "Appointment not found in series" });
+        if (anchor.status !== "confirmed") {
+            return res.status(400).json({ error: "ONLY_CONFIRMED_CAN_BE_CANCELED" });
+        }
+
+        const targets = await getScopeTargets(seriesId, anchor, value.scope);
+        const targetIds = targets.map((t) => t._id);
+
+        await AppointmentModel.updateMany(
+            { _id: { $in: targetIds }, business, status: "confirmed" },
+            { $set: { status: "canceled" } }
+        );
+
+        // Nothing left to attend - close the series
+        const remaining = await AppointmentModel.countDocuments({
+            seriesId,
+            status: "confirmed",
+            start: { $gte: new Date() },
+        });
+        if (remaining === 0) {
+            series.status = "canceled";
+            await series.save();
+        }
+
+        notifyAdmins(
+            business,
+            "appointment_canceled",
+            "Series Appointments Canceled",
+            `${targetIds.length} appointments were canceled in a series`,
+            { seriesId: String(series._id) }
+        ).catch((e) => console.error("Notify failed:", e));
+
+        for (const appointmentId of targetIds) {
+            cancelAppointmentReminders(appointmentId).catch((e) => console.error("Reminder cancel failed:", e));
+        }
+        for (const target of targets) {
+            publishAppointmentEvent("appointment.canceled", { ...target, status: "canceled" });
+            offerFreedSlot(target).catch((e) => console.error("Waitlist offer failed:", e));
+        }
+
+        return res.json({ series, canceledIds: targetIds });
+    } catch (err) {
+        console.error("PATCH /series cancel error:", err);
+        return res.status(502).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
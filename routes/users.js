@@ -11,6 +11,10 @@ const admin = require("../services/firebase.js");
 const { auth, authAdmin } = require("../auth/auth.js");
 const { toE164IL } = require("../services/utils_phone.js");
 const { sendPushToToken, sendPushToManyTokens } = require("../services/pushService");
+const { notifyAdmins } = require("../services/adminNotify");
+const { BusinessModel } = require("../models/businessModel");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { getClientNoShowStatus, getNoShowStatusMap } = require("../services/noShows");
 
 // ---------------------------------------------------------
 // Validation Schemas & Helpers
@@ -27,54 +31,6 @@ const pushSchema = Joi.object({
  */
 const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
 
-/**
- * Helper: Notify all admins of a business about specific events.
- * Filters admins based on their specific notification preferences.
- */
-async function notifyAdmins(businessId, eventType, title, body, data = {}) {
-    try {
-        const settingKeyByEvent = {
-            appointment_created: "onAppointmentCreated",
-            appointment_canceled: "onAppointmentCanceled",
-            user_signup: "onUserSignup",
-        };
-
-        const settingKey = settingKeyByEvent[eventType];
-        if (!settingKey) return { ok: false, error: "Unknown eventType" };
-
-        // Find admins who have push enabled globally
-        const admins = await UserModel.find({
-            business: businessId,
-            role: "admin",
-            expoPushToken: { $exists: true, $ne: null },
-            "adminPushSettings.enabled": { $ne: false },
-        }).select("expoPushToken adminPushSettings");
-
-        // Filter tokens based on the specific event setting
-        const tokens = admins
-            .filter((admin) => admin.adminPushSettings?.[settingKey] !== false) // Check specific setting
-            .map((admin) => admin.expoPushToken)
-            .filter((t) => typeof t === "string" && t.trim().length > 0) // Validate token string
-            .map((t) => t.trim()); // Clean whitespace
-
-        // Remove duplicates
-        const uniqueTokens = [...new Set(tokens)];
-
-        if (uniqueTokens.length === 0) return { ok: true, sent: 0 };
-
-        return await sendPushToManyTokens(uniqueTokens, title, body, {
-            ...data,
-            type: "admin_event",
-            eventType,
-            businessId: String(businessId),
-            createdAt: new Date().toISOString(),
-        });
-    } catch (err) {
-        console.error("notifyAdmins error:", err);
-        return { ok: false };
-    }
-}
-
 // ---------------------------------------------------------
 // Routes
 // ---------------------------------------------------------
@@ -415,7 +371,13 @@ router.get("/admin/push-settings", authAdmin, async (req, res) => {
  */
 router.patch("/admin/push-settings", authAdmin, async (req, res) => {
     try {
-        const allowed = ["enabled", "onAppointmentCreated", "onAppointmentCanceled", "onUserSignup"];
+        const allowed = [
+            "enabled",
+            "onAppointmentCreated",
+            "onAppointmentCanceled",
+            "onAppointmentRescheduled",
+            "onUserSignup",
+        ];
         const updates = {};
 
         for (const key of allowed) {
@@ -456,6 +418,103 @@ router.patch("/admin/push-settings", authAdmin, async (req, res) => {
         res.status(500).json({ error: "Server error" });
     }
 });
+
+/**
+ * GET /users/admin/clients?restricted=true
+ * Admin: Business clients with their no-show strikes & restriction
+ */
+router.get("/admin/clients", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+
+        const [biz, clients] = await Promise.all([
+            BusinessModel.findById(business).select("noShowPolicy").lean(),
+            UserModel.find({ business, role: "user" })
+                .select("name phone noShowPardonedAt createdAt")
+                .sort({ name: 1 })
+                .lean(),
+        ]);
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const statusMap = await getNoShowStatusMap(biz, clients);
+
+        let result = clients.map((c) => ({ ...c, noShows: statusMap.get(String(c._id)) }));
+        if (req.query.restricted === "true") {
+            result = result.filter((c) => c.noShows.restriction);
+        }
+
+        res.json(result);
+    } catch (err) {
+        console.error("get admin clients error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/**
+ * GET /users/admin/clients/:id/no-shows
+ * Admin: Strikes, restriction and recent no-show appointments of a client
+ */
+router.get("/admin/clients/:id/no-shows", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const [biz, client] = await Promise.all([
+            BusinessModel.findById(business).select("noShowPolicy").lean(),
+            UserModel.findOne({ _id: id, business }).select("name phone noShowPardonedAt").lean(),
+        ]);
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (!client) return res.status(404).json({ error: "User not found" });
+
+        const [status, appointments] = await Promise.all([
+            getClientNoShowStatus(biz, client),
+            AppointmentModel.find({ business, client: id, status: "no_show" })
+                .sort({ start: -1 })
+                .limit(20)
+                .select("start service worker")
+                .lean(),
+        ]);
+
+        res.json({ client, ...status, appointments });
+    } catch (err) {
+        console.error("get client no-shows error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/**
+ * POST /users/admin/clients/:id/pardon
+ * Admin: Clear a client's strikes (earlier no-shows stop counting) and lift the restriction
+ */
+router.post("/admin/clients/:id/pardon", authAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { business } = req.tokenData;
+
+        if (!isValidId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const biz = await BusinessModel.findById(business).select("noShowPolicy").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        const client = await UserModel.findOneAndUpdate(
+            { _id: id, business },
+            { $set: { noShowPardonedAt: new Date() } },
+            { new: true }
+        )
+            .select("name phone noShowPardonedAt")
+            .lean();
+        if (!client) return res.status(404).json({ error: "User not found" });
+
+        const status = await getClientNoShowStatus(biz, client);
+
+        res.json({ ok: true, client, ...status });
+    } catch (err) {
+        console.error("pardon client error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
 // update trigger for render
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,279 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Joi = require("joi");
+const router = express.Router();
+
+// Internal Imports
+const { UserModel } = require("../models/userModel");
+const { BusinessModel } = require("../models/businessModel");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { WaitlistModel, validateWaitlist } = require("../models/waitlistModel");
+const { auth, authAdmin } = require("../auth/auth");
+const { notifyAdmins } = require("../services/adminNotify");
+const {
+    checkAppointmentOverlap,
+    checkBookingWindow,
+    countActiveAppointments,
+    getBookingPolicy,
+    resolveServiceSnapshot,
+} = require("../services/scheduling");
+const { DEFAULT_TIMEZONE, diffDays, isValidDateStr, toDateStr } = require("../services/timeZone");
+const { withWorkerLock, LockTimeoutError } = require("../services/workerLock");
+const { syncAppointmentReminders } = require("../services/reminders");
+const { getClientNoShowStatus, noShowErrorCode } = require("../services/noShows");
+const { publishAppointmentEvent } = require("../services/eventHub");
+
+// Constants
+const MAX_ACTIVE_ENTRIES = 3; // Waiting entries per client
+const MAX_RANGE_DAYS = 31;
+
+// Helper
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const claimSchema = Joi.object({
+    offerId: Joi.string().hex().length(24).required(),
+});
+
+/* ======================================================
+   📋 MY WAITLIST
+   Returns the client's waiting entries with their live (unexpired) offers
+   GET /waitlist/my
+====================================================== */
+router.get("/my", auth, async (req, res) => {
+    try {
+        const { _id: clientId, business } = req.tokenData;
+        const now = new Date();
+
+        const entries = await WaitlistModel.find({ business, client: clientId, status: "waiting" })
+            .sort({ createdAt: 1 })
+            .populate("worker", "name")
+            .lean();
+
+        res.json(
+            entries.map((e) => ({
+                ...e,
+                offers: e.offers.filter((o) => new Date(o.expiresAt) > now),
+            }))
+        );
+    } catch (err) {
+        console.error("GET /waitlist/my error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   📜 WAITLIST (Admin)
+   GET /waitlist?date=YYYY-MM-DD
+====================================================== */
+router.get("/", authAdmin, async (req, res) => {
+    try {
+        const { business } = req.tokenData;
+        const { date } = req.query;
+
+        const filter = { business, status: "waiting" };
+
+        if (date) {
+            if (!isValidDateStr(date)) {
+                return res.status(400).json({ error: "Invalid date format, expected YYYY-MM-DD" });
+            }
+            filter.fromDate = { $lte: date };
+            filter.toDate = { $gte: date };
+        }
+
+        const entries = await WaitlistModel.find(filter)
+            .sort({ createdAt: 1 })
+            .populate("client", "name phone")
+            .populate("worker", "name")
+            .lean();
+
+        res.json(entries);
+    } catch (err) {
+        console.error("GET /waitlist error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ➕ JOIN WAITLIST
+   POST /waitlist
+====================================================== */
+router.post("/", auth, async (req, res) => {
+    try {
+        const { _id: clientId, business } = req.tokenData;
+
+        const { error, value } = validateWaitlist(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const { worker, serviceId, fromDate, toDate, notes } = value;
+
+        if (!isValidDateStr(fromDate) || !isValidDateStr(toDate) || toDate < fromDate) {
+            return res.status(400).json({ error: "Invalid date range" });
+        }
+        if (diffDays(fromDate, toDate) >= MAX_RANGE_DAYS) {
+            return res.status(400).json({ error: `Date range is limited to ${MAX_RANGE_DAYS} days` });
+        }
+
+        const biz = await BusinessModel.findById(business).select("timezone services").lean();
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+
+        if (toDate < toDateStr(new Date(), biz.timezone || DEFAULT_TIMEZONE)) {
+            return res.status(400).json({ error: "Date range is in the past" });
+        }
+
+        if (worker) {
+            const workerUser = await UserModel.findOne({ _id: worker, business }).select("_id").lean();
+            if (!workerUser) return res.status(400).json({ error: "Worker not found in business" });
+        }
+
+        const service = resolveServiceSnapshot(biz, serviceId);
+        if (!service) return res.status(400).json({ error: "SERVICE_NOT_FOUND" });
+
+        const activeCount = await WaitlistModel.countDocuments({
+            business,
+            client: clientId,
+            status: "waiting",
+        });
+        if (activeCount >= MAX_ACTIVE_ENTRIES) {
+            return res.status(403).json({ error: "MAX_WAITLIST_REACHED" });
+        }
+
+        const entry = await WaitlistModel.create({
+            business,
+            client: clientId,
+            worker,
+            service,
+            fromDate,
+            toDate,
+            notes: notes || "",
+        });
+
+        res.status(201).json(entry);
+    } catch (err) {
+        console.error("POST /waitlist error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   ✅ CLAIM OFFER
+   First come, first served - protected by the regular overlap check
+   POST /waitlist/:id/claim
+====================================================== */
+router.post("/:id/claim", auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: clientId, business } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        const { error, value } = claimSchema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details?.[0]?.message });
+
+        const entry = await WaitlistModel.findOne({ _id: id, business, client: clientId, status: "waiting" });
+        if (!entry) return res.status(404).json({ error: "Waitlist entry not found" });
+
+        const offer = entry.offers.id(value.offerId);
+        if (!offer) return res.status(404).json({ error: "Offer not found" });
+        if (offer.expiresAt <= new Date()) return res.status(410).json({ error: "OFFER_EXPIRED" });
+
+        const [biz, clientUser] = await Promise.all([
+            BusinessModel.findById(business).select("openingHours timezone slotIntervalMin bookingPolicy noShowPolicy").lean(),
+            UserModel.findOne({ _id: clientId, business }).select("noShowPardonedAt").lean(),
+        ]);
+        if (!biz) return res.status(404).json({ error: "Business not found" });
+        if (!clientUser) return res.status(404).json({ error: "User not found" });
+
+        const { restriction } = await getClientNoShowStatus(biz, clientUser);
+        const restrictionError = noShowErrorCode(restriction);
+        if (restrictionError) {
+            return res.status(403).json({ error: restrictionError, restrictedUntil: restriction.until });
+        }
+
+        const policy = getBookingPolicy(biz);
+        const confirmedCount = await countActiveAppointments(business, clientId);
+        if (confirmedCount >= policy.maxActiveAppointments) {
+            return res.status(403).json({ error: "MAX_CONFIRMED_REACHED" });
+        }
+
+        const { start, worker } = offer;
+        const { service } = entry;
+
+        const scheduleError = await checkBookingWindow(biz, worker, start, service.duration);
+        if (scheduleError) return res.status(409).json({ error: scheduleError });
+
+        const doc = await withWorkerLock(business, worker, async () => {
+            const overlap = await checkAppointmentOverlap(business, worker, start, service.duration);
+            if (overlap) return null;
+
+            return await AppointmentModel.create({
+                business,
+                client: clientId,
+                worker,
+                service,
+                start,
+                status: "confirmed",
+                notes: entry.notes || "",
+            });
+        });
+
+        if (!doc) return res.status(409).json({ error: "SLOT_TAKEN" });
+
+        entry.status = "fulfilled";
+        entry.appointment = doc._id;
+        entry.offers = [];
+        await entry.save();
+
+        notifyAdmins(
+            business,
+            "appointment_created",
+            "Waitlist Slot Claimed",
+            `A waitlisted client booked ${new Date(start).toLocaleString("he-IL", { timeZone: biz.timezone })}`,
+            { appointmentId: String(doc._id) }
+        ).catch((e) => console.error("Notify failed:", e));
+
+        syncAppointmentReminders(doc).catch((e) => console.error("Reminder sync failed:", e));
+        publishAppointmentEvent("appointment.created", doc);
+
+        res.status(201).json({ appointment: doc, entry });
+    } catch (err) {
+        if (err instanceof LockTimeoutError) {
+            return res.status(503).json({ error: "SCHEDULE_BUSY" });
+        }
+        if (err.code === 11000) return res.status(409).json({ error: "SLOT_TAKEN" });
+
+        console.error("POST /waitlist/:id/claim error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+/* ======================================================
+   🗑 LEAVE WAITLIST (Soft Delete)
+   DELETE /waitlist/:id
+====================================================== */
+router.delete("/:id", auth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { _id: userId, business, role } = req.tokenData;
+
+        if (!isValidObjectId(id)) return res.status(400).json({ error: "Invalid ID" });
+
+        // Clients can only remove their own entries
+        const filter = { _id: id, business, status: "waiting" };
+        if (role !== "admin") filter.client = userId;
+
+        const updated = await WaitlistModel.findOneAndUpdate(
+            filter,
+            { status: "canceled", offers: [] },
+            { new: true }
+        );
+
+        if (!updated) return res.status(404).json({ error: "Waitlist entry not found" });
+
+        res.json({ msg: "Removed from waitlist", entry: updated });
+    } catch (err) {
+        console.error("DELETE /waitlist/:id error:", err);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+module.exports = router;
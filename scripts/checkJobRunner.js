@@ -0,0 +1,118 @@
+/**
+ * Job runner check - drives createJobRunner() with a fake clock against a real MongoDB.
+ *
+ *   npm run check:jobs
+ *
+ * Uses URLDB_TEST (or URLDB) with a scratch database, which is dropped at the end.
+ */
+require("dotenv").config();
+
+const assert = require("assert/strict");
+const mongoose = require("mongoose");
+
+const { JobModel } = require("../models/jobModel");
+const { scheduleJob, createJobRunner } = require("../services/jobRunner");
+
+const SCRATCH_DB = "job_runner_check";
+const MINUTE_MS = 60 * 1000;
+
+async function main() {
+    const url = process.env.URLDB_TEST || process.env.URLDB;
+    if (!url) throw new Error("URLDB_TEST or URLDB must be set");
+
+    await mongoose.connect(url, { dbName: SCRATCH_DB });
+    await JobModel.syncIndexes();
+
+    let now = new Date("2030-01-01T10:00:00.000Z");
+    const clock = () => now;
+    const advance = (ms) => (now = new Date(now.getTime() + ms));
+
+    const calls = [];
+    const runner = createJobRunner({
+        clock,
+        lockTimeoutMs: 5 * MINUTE_MS,
+        retryDelayMs: MINUTE_MS,
+        handlers: {
+            ok: async (job, ctx) => calls.push({ id: String(job._id), now: ctx.now }),
+            flaky: async () => {
+                throw new Error("boom");
+            },
+        },
+    });
+
+    // 1. A job runs once it is due - not before
+    const due = await scheduleJob({ type: "ok", runAt: new Date(now.getTime() + 10 * MINUTE_MS) });
+    assert.equal(await runner.tick(), 0);
+    advance(10 * MINUTE_MS);
+    assert.equal(await runner.tick(), 1);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].now.getTime(), now.getTime(), "handlers see the runner clock");
+    assert.equal((await JobModel.findById(due._id).lean()).status, "done");
+
+    // 2. Same key -> one pending job, moved to the latest runAt
+    await scheduleJob({ type: "ok", key: "k1", runAt: new Date(now.getTime() + MINUTE_MS) });
+    await scheduleJob({ type: "ok", key: "k1", runAt: new Date(now.getTime() + 2 * MINUTE_MS) });
+    assert.equal(await JobModel.countDocuments({ key: "k1", status: "pending" }), 1);
+    advance(MINUTE_MS);
+    assert.equal(await runner.tick(), 0);
+    advance(MINUTE_MS);
+    assert.equal(await runner.tick(), 1);
+
+    // 3. Failures retry with a growing delay, then fail for good
+    const flaky = await scheduleJob({ type: "flaky", runAt: now, maxAttempts: 2 });
+    assert.equal(await runner.tick(), 1);
+    let job = await JobModel.findById(flaky._id).lean();
+    assert.equal(job.status, "pending");
+    assert.equal(job.runAt.getTime(), now.getTime() + MINUTE_MS);
+    advance(MINUTE_MS);
+    assert.equal(await runner.tick(), 1);
+    job = await JobModel.findById(flaky._id).lean();
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 2);
+
+    // 4. A crashed run (stuck "running") is reclaimed after the lock timeout...
+    const crashed = await JobModel.create({
+        type: "ok",
+        runAt: now,
+        status: "running",
+        attempts: 1,
+        maxAttempts: 3,
+        lockedBy: "dead-runner",
+        lockedAt: now,
+    });
+    advance(4 * MINUTE_MS);
+    assert.equal(await runner.tick(), 0);
+    advance(2 * MINUTE_MS);
+    assert.equal(await runner.tick(), 1);
+    assert.equal((await JobModel.findById(crashed._id).lean()).status, "done");
+
+    // 5. ...but not once it has no attempts left
+    const exhausted = await JobModel.create({
+        type: "ok",
+        runAt: now,
+        status: "running",
+        attempts: 3,
+        maxAttempts: 3,
+        lockedBy: "dead-runner",
+        lockedAt: now,
+    });
+    advance(6 * MINUTE_MS);
+    const callsBefore = calls.length;
+    assert.equal(await runner.tick(), 0);
+    assert.equal(calls.length, callsBefore);
+    assert.equal((await JobModel.findById(exhausted._id).lean()).status, "failed");
+
+    console.log("Job runner check passed");
+}
+
+main()
+    .catch((err) => {
+        console.error("Job runner check failed:", err);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+        }
+    });
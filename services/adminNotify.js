@@ -0,0 +1,63 @@
+const { UserModel } = require("../models/userModel");
+const { sendPushToManyTokens } = require("./pushService");
+
+// Event type -> admin push setting that controls it
+const SETTING_KEY_BY_EVENT = {
+    appointment_created: "onAppointmentCreated",
+    appointment_canceled: "onAppointmentCanceled",
+    appointment_rescheduled: "onAppointmentRescheduled",
+    user_signup: "onUserSignup",
+};
+
+/**
+ * Notify all admins of a business about specific events.
+ * Filters admins based on their specific notification preferences.
+ *
+ * @param {string} businessId
+ * @param {string} eventType - Key of SETTING_KEY_BY_EVENT
+ * @param {string} title
+ * @param {string} body
+ * @param {object} data - Extra push payload
+ */
+async function notifyAdmins(businessId, eventType, title, body, data = {}) {
+    try {
+        const settingKey = SETTING_KEY_BY_EVENT[eventType];
+        if (!settingKey) return { ok: false, error: "Unknown eventType" };
+
+        // Find admins who have push enabled globally
+        const admins = await UserModel.find({
+            business: businessId,
+            role: "admin",
+            expoPushToken: { $exists: true, $ne: null },
+            "adminPushSettings.enabled": { $ne: false },
+        }).select("expoPushToken adminPushSettings");
+
+        // Filter tokens based on the specific event setting (deduplicated)
+        const tokens = [
+            ...new Set(
+                admins
+                    .filter((a) => a.adminPushSettings?.[settingKey] !== false)
+                    .map((a) => a.expoPushToken)
+                    .filter((t) => typeof t === "string" && t.trim().length > 0)
+                    .map((t) => t.trim())
+            ),
+        ];
+
+        if (tokens.length === 0) return { ok: true, sent: 0 };
+
+        return await sendPushToManyTokens(tokens, title, body, {
+            ...data,
+            type: "admin_event",
+            eventType,
+            businessId: String(businessId),
+            createdAt: new Date().toISOString(),
+        });
+    } catch (err) {
+        console.error("notifyAdmins error:", err);
+        return { ok: false };
+    }
+}
+
+module.exports = {
+    notifyAdmins,
+};
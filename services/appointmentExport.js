@@ -0,0 +1,140 @@
+const ExcelJS = require("exceljs");
+const { toDateStr, toLocalMinutes } = require("./timeZone");
+
+// Column order is shared by CSV and XLSX
+const EXPORT_COLUMNS = [
+    { key: "date", header: "Date", width: 12 },
+    { key: "time", header: "Time", width: 8 },
+    { key: "client", header: "Client", width: 24 },
+    { key: "phone", header: "Phone", width: 16 },
+    { key: "worker", header: "Worker", width: 20 },
+    { key: "service", header: "Service", width: 24 },
+    { key: "duration", header: "Duration (min)", width: 14 },
+    { key: "price", header: "Price", width: 10 },
+    { key: "discount", header: "Discount", width: 10 },
+    { key: "coupon", header: "Coupon", width: 14 },
+    { key: "status", header: "Status", width: 12 },
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Flattens an appointment (client & worker populated) into an export row.
+ * Date & time are local to the business.
+ */
+function toExportRow(appt, timeZone) {
+    const minutes = toLocalMinutes(appt.start, timeZone);
+
+    return {
+        date: toDateStr(appt.start, timeZone),
+        time: `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`,
+        client: appt.client?.name || "",
+        phone: appt.client?.phone || "",
+        worker: appt.worker?.name || "",
+        service: appt.service?.name || "",
+        duration: appt.service?.duration ?? "",
+        price: appt.service?.price ?? "",
+        discount: appt.service?.coupon?.discount ?? "",
+        coupon: appt.service?.coupon?.code || "",
+        status: appt.status,
+    };
+}
+
+/**
+ * Escapes a CSV cell. Text starting like a formula is prefixed with ' (CSV injection),
+ * except plain numbers / phone numbers.
+ */
+function csvCell(value) {
+    let str = String(value ?? "");
+
+    if (/^[=+\-@\t\r]/.test(str) && !/^[+-]?\d[\d\s-]*$/.test(str)) str = `'${str}`;
+    if (/[",\r\n]/.test(str)) str = `"${str.replace(/"/g, '""')}"`;
+
+    return str;
+}
+
+/**
+ * Waits until the response can take more data.
+ * @returns {Promise<boolean>} - false if the client went away (close / error) instead
+ */
+function waitForDrain(res) {
+    if (res.destroyed) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+        const finish = (drained) => {
+            res.off("drain", onDrain);
+            res.off("close", onGone);
+            res.off("error", onGone);
+            resolve(drained);
+        };
+        const onDrain = () => finish(true);
+        const onGone = () => finish(false);
+
+        res.on("drain", onDrain);
+        res.on("close", onGone);
+        res.on("error", onGone);
+    });
+}
+
+/**
+ * Streams a cursor of appointments to the response as CSV.
+ * Starts with a UTF-8 BOM so Excel detects the encoding (Hebrew names).
+ * Stops (and closes the cursor) if the client disconnects mid-export.
+ */
+async function writeCsv(res, cursor, timeZone) {
+    res.write("\uFEFF");
+    res.write(EXPORT_COLUMNS.map((c) => csvCell(c.header)).join(",") + "\r\n");
+
+    for await (const appt of cursor) {
+        const row = toExportRow(appt, timeZone);
+        const ok = res.write(EXPORT_COLUMNS.map((c) => csvCell(row[c.key])).join(",") + "\r\n");
+
+        // Respect backpressure on large exports
+        if ((!ok && !(await waitForDrain(res))) || res.destroyed) {
+            await cursor.close();
+            return;
+        }
+    }
+
+    res.end();
+}
+
+/**
+ * Streams a cursor of appointments to the response as an XLSX workbook.
+ * Stops (and closes the cursor) if the client disconnects mid-export.
+ */
+async function writeXlsx(res, cursor, timeZone) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet("Appointments", { views: [{ state: "frozen", ySplit: 1 }] });
+
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    let total = 0;
+    for await (const appt of cursor) {
+        if (res.destroyed) {
+            await cursor.close();
+            return;
+        }
+
+        const row = toExportRow(appt, timeZone);
+        if (appt.status === "completed") total += Number(appt.service?.price) || 0;
+        sheet.addRow(row).commit();
+    }
+
+    const totalRow = sheet.addRow({ service: "Total (completed)", price: total });
+    totalRow.font = { bold: true };
+    totalRow.commit();
+
+    sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    toExportRow,
+    csvCell,
+    writeCsv,
+    writeXlsx,
+};
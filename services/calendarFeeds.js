@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BlockModel } = require("../models/blockModel");
+const { buildCalendar } = require("./ical");
+
+const FEED_KINDS = ["worker", "client"];
+
+// Feed window: recent history + the upcoming year
+const PAST_DAYS = 30;
+const FUTURE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * HMAC signature of a feed URL. The user's feed version is part of the signed data,
+ * so bumping it revokes every previously issued URL.
+ */
+function signFeed(userId, kind, version) {
+    if (!process.env.JWT_SECRET) {
+        throw new Error("Server Error: JWT_SECRET is not defined.");
+    }
+
+    return crypto
+        .createHmac("sha256", process.env.JWT_SECRET)
+        .update(`calendar-feed:${userId}:${kind}:${version}`)
+        .digest("hex");
+}
+
+/**
+ * Constant-time check of a feed signature.
+ */
+function verifyFeedSignature(userId, kind, version, signature) {
+    if (typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) return false;
+
+    const expected = Buffer.from(signFeed(userId, kind, version), "hex");
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"));
+}
+
+/**
+ * Subscription URLs of a user's feeds (https + webcal variants).
+ * @param {string} baseUrl - e.g. "https://api.example.com"
+ * @param {object} user - Needs _id, calendarFeedVersion
+ * @param {string[]} kinds - Feeds the user may subscribe to
+ */
+function buildFeedUrls(baseUrl, user, kinds) {
+    const urls = {};
+
+    for (const kind of kinds) {
+        const sig = signFeed(user._id, kind, user.calendarFeedVersion || 0);
+        const url = `${baseUrl}/calendar/feeds/${user._id}/${kind}.ics?sig=${sig}`;
+        urls[kind] = { url, webcal: url.replace(/^https?:/, "webcal:") };
+    }
+
+    return urls;
+}
+
+/**
+ * Helper: Revision number for calendar apps (grows with every update)
+ */
+function sequenceOf(doc) {
+    const created = new Date(doc.createdAt || doc.created_at || 0).getTime();
+    const updated = new Date(doc.updatedAt || doc.updated_at || created).getTime();
+    return Math.max(0, Math.floor((updated - created) / 1000));
+}
+
+function appointmentEvent(appt, business, summary) {
+    const start = new Date(appt.start);
+
+    return {
+        uid: `appointment-${appt._id}@toral`,
+        start,
+        end: new Date(start.getTime() + appt.service.duration * 60 * 1000),
+        summary,
+        location: business.address || business.name,
+        description: [appt.service.name, appt.notes].filter(Boolean).join("\n"),
+        status: appt.status === "canceled" ? "CANCELLED" : "CONFIRMED",
+        lastModified: appt.updatedAt || appt.createdAt,
+        sequence: sequenceOf(appt),
+    };
+}
+
+/**
+ * Helper: Appointments query window. Canceled appointments stay in the feed (STATUS:CANCELLED)
+ * so subscribed calendars remove them instead of keeping a stale copy.
+ */
+function feedRange(now) {
+    return {
+        $gte: new Date(now.getTime() - PAST_DAYS * DAY_MS),
+        $lte: new Date(now.getTime() + FUTURE_DAYS * DAY_MS),
+    };
+}
+
+/**
+ * ICS feed of a worker: their appointments + blocks (own and business-wide).
+ * @param {object} business - Business document (needs _id, name, address)
+ * @param {object} worker - User document (needs _id, name)
+ */
+async function buildWorkerFeed(business, worker, now = new Date()) {
+    const range = feedRange(now);
+
+    const [appointments, blocks] = await Promise.all([
+        AppointmentModel.find({
+            business: business._id,
+            worker: worker._id,
+            status: { $in: ["confirmed", "completed", "canceled"] },
+            start: range,
+        })
+            .populate("client", "name phone")
+            .lean(),
+        BlockModel.find({
+            business: business._id,
+            active: true,
+            start: { $lte: range.$lte },
+            end: { $gte: range.$gte },
+            $or: [{ resource: null }, { resource: worker._id }],
+        }).lean(),
+    ]);
+
+    const events = [
+        ...appointments.map((a) => {
+            const event = appointmentEvent(a, business, `${a.service.name} - ${a.client?.name || ""}`);
+            if (a.client?.phone) event.description += `\n${a.client.phone}`;
+            return event;
+        }),
+        ...blocks.map((b) => ({
+            uid: `block-${b._id}@toral`,
+            start: b.start,
+            end: b.end,
+            summary: `Blocked (${b.reason})`,
+            description: b.notes || "",
+            status: "CONFIRMED",
+            lastModified: b.updated_at,
+            sequence: sequenceOf(b),
+        })),
+    ];
+
+    return buildCalendar({ name: `${business.name} - ${worker.name}`, events });
+}
+
+/**
+ * ICS feed of a client: their appointments (same data as GET /appointments/my).
+ * @param {object} business - Business document (needs _id, name, address)
+ * @param {object} client - User document (needs _id)
+ */
+async function buildClientFeed(business, client, now = new Date()) {
+    const appointments = await AppointmentModel.find({
+        business: business._id,
+        client: client._id,
+        status: { $in: ["confirmed", "completed", "canceled"] },
+        start: feedRange(now),
+    })
+        .populate("worker", "name")
+        .lean();
+
+    const events = appointments.map((a) => {
+        const workerName = a.worker?.name ? ` (${a.worker.name})` : "";
+        return appointmentEvent(a, business, `${a.service.name} - ${business.name}${workerName}`);
+    });
+
+    return buildCalendar({ name: business.name, events });
+}
+
+module.exports = {
+    FEED_KINDS,
+    signFeed,
+    verifyFeedSignature,
+    buildFeedUrls,
+    buildWorkerFeed,
+    buildClientFeed,
+};
@@ -0,0 +1,91 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BlockModel } = require("../models/blockModel");
+const { UserModel } = require("../models/userModel");
+const { getOpeningWindow, WEEKDAYS } = require("./scheduling");
+const { addDays, weekdayOf, zonedDayRange } = require("./timeZone");
+
+// No appointment is longer than a day - bounds the index scan for ones spilling into the range
+const MAX_APPOINTMENT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the admin calendar grid for several workers over a few local days.
+ * Normalized payload: appointments & blocks reference workers / clients by ID,
+ * the people themselves are listed once in `workers` / `clients`.
+ *
+ * @param {object} biz - Business document (needs _id, openingHours)
+ * @param {string[]} workers - Worker IDs (columns of the grid, in order)
+ * @param {{from: string, to: string}} range - Local days, `to` inclusive
+ * @param {string} timeZone
+ * @param {{includeCanceled?: boolean}} options
+ */
+async function buildCalendarView(biz, workers, range, timeZone, { includeCanceled = false } = {}) {
+    const start = zonedDayRange(range.from, timeZone).start;
+    const end = zonedDayRange(range.to, timeZone).end;
+
+    const apptFilter = {
+        business: biz._id,
+        worker: { $in: workers },
+        start: { $lt: end, $gte: new Date(start.getTime() - MAX_APPOINTMENT_MS) },
+        // Overlapping the range, including ones that started the day before
+        $expr: { $gt: [{ $add: ["$start", { $multiply: ["$service.duration", 60000] }] }, start] },
+    };
+    if (!includeCanceled) apptFilter.status = { $ne: "canceled" };
+
+    const [appointments, blocks, workerDocs] = await Promise.all([
+        AppointmentModel.find(apptFilter)
+            .sort({ start: 1 })
+            .select("worker client service start status notes seriesId needsReview")
+            .lean(),
+        BlockModel.find({
+            business: biz._id,
+            active: true,
+            start: { $lt: end },
+            end: { $gt: start },
+            $or: [{ resource: null }, { resource: { $in: workers } }],
+        })
+            .sort({ start: 1 })
+            .select("resource start end reason notes importSource")
+            .lean(),
+        UserModel.find({ _id: { $in: workers } })
+            .select("name phone")
+            .lean(),
+    ]);
+
+    const clientIds = [...new Set(appointments.map((a) => String(a.client)))];
+    const clients = await UserModel.find({ _id: { $in: clientIds } })
+        .select("name phone")
+        .lean();
+
+    const days = [];
+    for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+        const hours = biz.openingHours?.[WEEKDAYS[weekdayOf(date)]];
+        const window = getOpeningWindow(biz.openingHours, date, timeZone);
+        days.push({
+            date,
+            weekday: weekdayOf(date),
+            open: window ? { open: hours.open, close: hours.close, start: window.start, end: window.end } : null,
+        });
+    }
+
+    // Keep the requested column order
+    const workerById = new Map(workerDocs.map((w) => [String(w._id), w]));
+
+    return {
+        timeZone,
+        from: range.from,
+        to: range.to,
+        days,
+        workers: workers.map((id) => workerById.get(String(id))).filter(Boolean),
+        clients: Object.fromEntries(clients.map((c) => [String(c._id), c])),
+        appointments: appointments.map((a) => ({
+            ...a,
+            end: new Date(a.start.getTime() + a.service.duration * 60000),
+        })),
+        blocks: blocks.filter((b) => b.resource),
+        globalBlocks: blocks.filter((b) => !b.resource),
+    };
+}
+
+module.exports = {
+    buildCalendarView,
+};
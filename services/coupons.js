@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { CouponModel } = require("../models/couponModel");
+const { toDateStr, weekdayOf } = require("./timeZone");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+// Appointments that hold a coupon use
+const usesFilter = (couponId) => ({ "service.coupon.couponId": couponId, status: { $ne: "canceled" } });
+
+/**
+ * Discount of a coupon for a price (never more than the price).
+ */
+function computeDiscount(coupon, price) {
+    const discount = coupon.type === "percent" ? (price * coupon.value) / 100 : coupon.value;
+    return round2(Math.min(Math.max(discount, 0), price));
+}
+
+/**
+ * Finds a coupon of the business by code.
+ */
+async function findCouponByCode(business, code) {
+    return await CouponModel.findOne({ business, code: normalizeCode(code) }).lean();
+}
+
+/**
+ * Weekday rule of a coupon for an appointment start.
+ * @returns {string|null} - Error code, or null when the day is allowed
+ */
+function checkCouponDay(coupon, start, timeZone) {
+    if (!(coupon.weekdays?.length > 0)) return null;
+
+    const weekday = weekdayOf(toDateStr(new Date(start), timeZone));
+    return coupon.weekdays.includes(weekday) ? null : "COUPON_NOT_VALID_FOR_DAY";
+}
+
+/**
+ * Re-checks the coupon already booked on a service snapshot for a new start (reschedules).
+ * Usage limits are not counted again - the appointment already holds its use.
+ * @returns {Promise<string|null>} - Error code, or null when the coupon still applies
+ */
+async function checkBookedCouponForStart(service, start, timeZone) {
+    if (!service?.coupon?.couponId) return null;
+
+    const coupon = await CouponModel.findById(service.coupon.couponId).select("weekdays").lean();
+    return coupon ? checkCouponDay(coupon, start, timeZone) : null;
+}
+
+/**
+ * Checks whether a coupon applies to a booking and prices it.
+ * The usage limits are counted from the appointments - callers that create the
+ * appointment should run this again under the coupon lock (see POST /appointments).
+ *
+ * @param {object} coupon - Coupon document (lean)
+ * @param {object} params
+ * @param {string} params.client - Client ID
+ * @param {object} params.service - Service snapshot (serviceId, price)
+ * @param {Date|string} params.start - Appointment start
+ * @param {string} params.timeZone - Business time zone (for the weekday rule)
+ * @param {Date} [params.now]
+ * @returns {Promise<{error: string}|{originalPrice: number, discount: number, price: number}>}
+ */
+async function evaluateCoupon(coupon, { client, service, start, timeZone, now = new Date() }) {
+    if (!coupon || !coupon.active) return { error: "COUPON_NOT_FOUND" };
+    if (coupon.validFrom && now < coupon.validFrom) return { error: "COUPON_NOT_YET_VALID" };
+    if (coupon.validUntil && now > coupon.validUntil) return { error: "COUPON_EXPIRED" };
+
+    const dayError = checkCouponDay(coupon, start, timeZone);
+    if (dayError) return { error: dayError };
+
+    if (coupon.serviceIds?.length > 0) {
+        const allowed = service.serviceId && coupon.serviceIds.some((id) => String(id) === String(service.serviceId));
+        if (!allowed) return { error: "COUPON_NOT_VALID_FOR_SERVICE" };
+    }
+
+    const [totalUses, clientUses, earlierVisits] = await Promise.all([
+        coupon.maxUses ? AppointmentModel.countDocuments(usesFilter(coupon._id)) : 0,
+        coupon.maxUsesPerClient
+            ? AppointmentModel.countDocuments({ ...usesFilter(coupon._id), client })
+            : 0,
+        coupon.firstVisitOnly
+            ? AppointmentModel.countDocuments({ business: coupon.business, client, status: { $ne: "canceled" } })
+            : 0,
+    ]);
+
+    if (coupon.firstVisitOnly && earlierVisits > 0) return { error: "COUPON_FIRST_VISIT_ONLY" };
+    if (coupon.maxUses && totalUses >= coupon.maxUses) return { error: "COUPON_USAGE_LIMIT_REACHED" };
+    if (coupon.maxUsesPerClient && clientUses >= coupon.maxUsesPerClient) {
+        return { error: "COUPON_CLIENT_LIMIT_REACHED" };
+    }
+
+    const discount = computeDiscount(coupon, service.price);
+    return { originalPrice: service.price, discount, price: round2(service.price - discount) };
+}
+
+/**
+ * Service snapshot with the coupon applied (price = discounted price).
+ */
+function applyCouponToService(service, coupon, { originalPrice, discount, price }) {
+    return {
+        ...service,
+        price,
+        originalPrice,
+        coupon: { couponId: coupon._id, code: coupon.code, discount },
+    };
+}
+
+/**
+ * Usage per coupon: bookings by status, discount given and revenue after discount
+ * (completed appointments), unique clients.
+ *
+ * @param {string} business
+ * @param {object} [params]
+ * @param {string} [params.couponId] - One coupon only
+ * @param {Date} [params.from] - Appointment start range
+ * @param {Date} [params.to]
+ */
+async function couponUsageReport(business, { couponId, from, to } = {}) {
+    const match = {
+        business: new mongoose.Types.ObjectId(String(business)),
+        "service.coupon.couponId": couponId ? new mongoose.Types.ObjectId(String(couponId)) : { $ne: null },
+    };
+    if (from || to) {
+        match.start = {};
+        if (from) match.start.$gte = from;
+        if (to) match.start.$lt = to;
+    }
+
+    const isCompleted = { $eq: ["$status", "completed"] };
+
+    const rows = await AppointmentModel.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: "$service.coupon.couponId",
+                code: { $last: "$service.coupon.code" },
+                bookings: { $sum: 1 },
+                active: { $sum: { $cond: [{ $ne: ["$status", "canceled"] }, 1, 0] } },
+                canceled: { $sum: { $cond: [{ $eq: ["$status", "canceled"] }, 1, 0] } },
+                completed: { $sum: { $cond: [isCompleted, 1, 0] } },
+                discountGiven: { $sum: { $cond: [isCompleted, "$service.coupon.discount", 0] } },
+                revenue: { $sum: { $cond: [isCompleted, "$service.price", 0] } },
+                clients: { $addToSet: "$client" },
+                lastUsedAt: { $max: "$createdAt" },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                couponId: "$_id",
+                code: 1,
+                bookings: 1,
+                active: 1,
+                canceled: 1,
+                completed: 1,
+                discountGiven: 1,
+                revenue: 1,
+                uniqueClients: { $size: "$clients" },
+                lastUsedAt: 1,
+            },
+        },
+        { $sort: { bookings: -1 } },
+    ]);
+
+    return rows;
+}
+
+module.exports = {
+    normalizeCode,
+    computeDiscount,
+    findCouponByCode,
+    evaluateCoupon,
+    checkBookedCouponForStart,
+    applyCouponToService,
+    couponUsageReport,
+};
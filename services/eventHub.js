@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+
+/**
+ * In-process pub/sub for live calendar updates (served over SSE by routes/events.js).
+ *
+ * Every business keeps a ring buffer of its recent events, so a reconnecting client can
+ * resume from its Last-Event-ID. Event IDs carry a per-boot prefix: an ID from before a
+ * restart (or one that already fell out of the buffer) can't be resumed, and the client is told
+ * to refetch instead.
+ *
+ * Note: events are only delivered to clients connected to the same server instance.
+ */
+
+const BUFFER_SIZE = 500;
+const BOOT_ID = crypto.randomBytes(4).toString("hex");
+
+// businessId -> { seq, events: [], subscribers: Set }
+const channels = new Map();
+
+function getChannel(business) {
+    const key = String(business);
+    if (!channels.has(key)) channels.set(key, { seq: 0, events: [], subscribers: new Set() });
+    return channels.get(key);
+}
+
+/**
+ * Publish an event to everyone subscribed to the business.
+ * @param {string} business - Business ID
+ * @param {string} type - e.g. "appointment.created"
+ * @param {object} data - JSON payload
+ * @param {Array<string|null>|null} workers - Workers the event concerns (null / a null entry = everyone)
+ * @param {string[]} [clients] - Clients the event concerns (they receive it on their own stream)
+ */
+function publish(business, type, data, workers = null, clients = []) {
+    const channel = getChannel(business);
+
+    const eventSeq = ++channel.seq;
+    const event = {
+        id: `${BOOT_ID}-${eventSeq}`,
+        seq: eventSeq,
+        type,
+        data,
+        workers: workers && !workers.includes(null) ? workers.map(String) : null,
+        clients: clients.filter(Boolean).map(String),
+        createdAt: new Date(),
+    };
+
+    channel.events.push(event);
+    if (channel.events.length > BUFFER_SIZE) channel.events.shift();
+
+    for (const subscriber of channel.subscribers) {
+        if (!matchesFilter(event, subscriber)) continue;
+        try {
+            subscriber.send(event);
+        } catch (err) {
+            console.error("Event delivery failed:", err.message);
+        }
+    }
+
+    return event;
+}
+
+/**
+ * Does the event reach a subscriber?
+ * - user: non-admin stream - only events naming them as worker or client (no business-wide events)
+ * - worker: admin stream narrowed to one worker (business-wide events included)
+ * - neither: everything
+ * @param {object} event
+ * @param {{ worker?: string|null, user?: string|null }} filter
+ */
+function matchesFilter(event, { worker = null, user = null } = {}) {
+    if (user) {
+        return Boolean(event.workers?.includes(String(user)) || event.clients?.includes(String(user)));
+    }
+    return !worker || !event.workers || event.workers.includes(String(worker));
+}
+
+/**
+ * Subscribe to a business channel.
+ * @param {string} business
+ * @param {{ worker?: string|null, user?: string|null, send: Function }} subscriber - Filter (see matchesFilter)
+ *        + send(event), called per event
+ * @returns {Function} - Unsubscribe
+ */
+function subscribe(business, subscriber) {
+    const channel = getChannel(business);
+    channel.subscribers.add(subscriber);
+    return () => channel.subscribers.delete(subscriber);
+}
+
+/**
+ * Buffered events after `lastEventId`, for resuming a stream.
+ * @param {{ worker?: string|null, user?: string|null }} [filter] - See matchesFilter
+ * @returns {{ events: object[], reset: boolean }} - reset = the ID can't be resumed, refetch everything
+ */
+function getEventsSince(business, lastEventId, filter = {}) {
+    const channel = getChannel(business);
+    const [bootId, seqStr] = String(lastEventId).split("-");
+    const lastSeq = Number(seqStr);
+
+    if (bootId !== BOOT_ID || !Number.isInteger(lastSeq) || lastSeq > channel.seq) {
+        return { events: [], reset: true };
+    }
+
+    // Oldest buffered event is newer than the next expected one -> some were dropped
+    const oldest = channel.events[0];
+    if (oldest && oldest.seq > lastSeq + 1) return { events: [], reset: true };
+
+    return {
+        events: channel.events.filter((e) => e.seq > lastSeq && matchesFilter(e, filter)),
+        reset: false,
+    };
+}
+
+/**
+ * Helper: Appointment event (payload = the appointment).
+ * @param {string} type - "appointment.created" | "appointment.canceled" | ...
+ * @param {object} appt - Appointment document
+ * @param {object} [extra] - Additional payload (e.g. previous start / worker)
+ */
+function publishAppointmentEvent(type, appt, extra = {}) {
+    const appointment = appt?.toObject?.() ?? appt;
+    const workers = [appointment.worker, extra.previousWorker].filter(Boolean);
+
+    return publish(appointment.business, type, { appointment, ...extra }, workers, [appointment.client?._id ?? appointment.client]);
+}
+
+/**
+ * Helper: Block event (global blocks reach every worker).
+ * @param {string} type - "block.created" | "block.updated" | "block.deleted"
+ * @param {object} block - Block document
+ * @param {string|null} [previousResource] - Resource before an update
+ */
+function publishBlockEvent(type, block, previousResource) {
+    const data = block?.toObject?.() ?? block;
+    const workers = previousResource === undefined ? [data.resource] : [data.resource, previousResource];
+
+    return publish(data.business, type, { block: data }, workers.map((w) => w || null));
+}
+
+module.exports = {
+    publish,
+    subscribe,
+    getEventsSince,
+    publishAppointmentEvent,
+    publishBlockEvent,
+};
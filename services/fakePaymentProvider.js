@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+
+/**
+ * Fake Payment Provider
+ * Local stand-in for a real gateway, so the deposit flow can run offline:
+ * the checkout URL points to the simulator routes in routes/payments.js, which
+ * call our own webhook with a signed payload - exactly like a real provider would.
+ *
+ * Anyone holding a checkout URL can "pay" through the simulator, so the provider is
+ * opt-in: it only exists when FAKE_PAYMENTS=true (and FAKE_PAYMENT_SECRET is set).
+ */
+
+const name = "fake";
+const SIGNATURE_HEADER = "x-fake-signature";
+
+const isEnabled = () => process.env.FAKE_PAYMENTS === "true";
+
+const getSecret = () => {
+    if (!process.env.FAKE_PAYMENT_SECRET) {
+        throw new Error("Server Error: FAKE_PAYMENT_SECRET is not defined.");
+    }
+    return process.env.FAKE_PAYMENT_SECRET;
+};
+
+const sign = (body) => crypto.createHmac("sha256", getSecret()).update(body).digest("hex");
+
+async function createCheckout({ baseUrl }) {
+    const providerPaymentId = `fake_pay_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+        providerPaymentId,
+        checkoutUrl: `${baseUrl}/payments/fake/checkout/${providerPaymentId}`,
+    };
+}
+
+async function refund() {
+    return { providerRefundId: `fake_re_${crypto.randomBytes(12).toString("hex")}` };
+}
+
+/**
+ * Webhook request body + signature header, as the provider would send it.
+ * @param {"succeeded"|"failed"} status
+ */
+function buildWebhook(providerPaymentId, status, amount) {
+    const body = JSON.stringify({
+        id: `fake_evt_${crypto.randomBytes(8).toString("hex")}`,
+        type: `payment.${status}`,
+        data: { providerPaymentId, amount },
+    });
+    return { body, headers: { "Content-Type": "application/json", [SIGNATURE_HEADER]: sign(body) } };
+}
+
+/**
+ * Verifies the signature over the raw body (req.rawBody, kept by express.json in app.js).
+ */
+function parseWebhook(req) {
+    const signature = String(req.get(SIGNATURE_HEADER) || "");
+    if (!isEnabled() || !process.env.FAKE_PAYMENT_SECRET) return null;
+    if (!req.rawBody || !/^[a-f0-9]{64}$/.test(signature)) return null;
+
+    const expected = sign(req.rawBody);
+    if (!crypto.timingSafeEqual(Buffer.from(signature, "hex"), Buffer.from(expected, "hex"))) return null;
+
+    const { type, data } = req.body || {};
+    const status = { "payment.succeeded": "succeeded", "payment.failed": "failed" }[type];
+    if (!status || !data?.providerPaymentId) return null;
+
+    return { providerPaymentId: data.providerPaymentId, status, amount: Number(data.amount) };
+}
+
+module.exports = {
+    name,
+    isEnabled,
+    createCheckout,
+    refund,
+    buildWebhook,
+    parseWebhook,
+};
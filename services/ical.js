@@ -0,0 +1,513 @@
+/**
+ * iCalendar (RFC 5545) helpers - no external deps.
+ * Generated feeds use UTC times ("...Z"), so no VTIMEZONE blocks are needed.
+ * Parsing covers what calendar exports use for busy times: VEVENT, TZID / UTC / floating / all-day
+ * times, DURATION, RRULE (DAILY / WEEKLY / MONTHLY / YEARLY), EXDATE and RECURRENCE-ID overrides.
+ */
+
+const {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    zonedTimeToUtc,
+    toDateStr,
+    addDays,
+    diffDays,
+    addMonths,
+    weekdayOf,
+} = require("./timeZone");
+
+const PRODID = "-//Toral//Queue Manager//EN";
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma, newline).
+ */
+function escapeText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line to 75 octets (continuation lines start with a space).
+ * Never splits a multi-byte UTF-8 character (Hebrew names are common here).
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines lose 1 octet to the leading space
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join("\r\n ");
+}
+
+/**
+ * Date -> "YYYYMMDDTHHMMSSZ"
+ */
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Builds a VEVENT block.
+ * @param {object} event
+ * @param {string} event.uid - Stable unique ID (same UID = same event for calendar apps)
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.location]
+ * @param {string} [event.description]
+ * @param {"CONFIRMED"|"CANCELLED"|"TENTATIVE"} [event.status]
+ * @param {Date} [event.lastModified]
+ * @param {number} [event.sequence] - Revision number, must grow with every change
+ * @returns {string[]} - Content lines
+ */
+function buildEvent(event) {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `DTSTART:${formatUtc(event.start)}`,
+        `DTEND:${formatUtc(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+    ];
+
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+
+    lines.push("END:VEVENT");
+    return lines;
+}
+
+/**
+ * Builds a full VCALENDAR document.
+ * @param {object} params
+ * @param {string} params.name - Calendar display name
+ * @param {object[]} params.events - See buildEvent()
+ * @param {number} [params.refreshMinutes] - Suggested polling interval for subscribers
+ * @returns {string}
+ */
+function buildCalendar({ name, events, refreshMinutes = 30 }) {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+        `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+        ...events.flatMap(buildEvent),
+        "END:VCALENDAR",
+    ];
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ---------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------
+
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const MAX_EXPANSION_STEPS = 5000;
+
+/**
+ * Reverses escapeText()
+ */
+function unescapeText(value) {
+    return String(value ?? "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+/**
+ * Splits "NAME;PARAM=a;PARAM2="b:c":value" into { name, params, value }.
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ":" && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(";");
+    const params = {};
+    for (const p of rawParams) {
+        const eq = p.indexOf("=");
+        if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses an ICS date / date-time value.
+ * @returns {{dateStr: string, minutes: number, timeZone: string, allDay: boolean}|null}
+ *          Local wall time in `timeZone` ("UTC" for "...Z" values)
+ */
+function parseIcsTime(value, params = {}, defaultTimeZone = DEFAULT_TIMEZONE) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, y, m, d, hh, mm, , utc] = match;
+    const dateStr = `${y}-${m}-${d}`;
+
+    if (hh === undefined) {
+        return { dateStr, minutes: 0, timeZone: defaultTimeZone, allDay: true };
+    }
+
+    let timeZone = defaultTimeZone;
+    if (utc) timeZone = "UTC";
+    else if (params.TZID && isValidTimeZone(params.TZID)) timeZone = params.TZID;
+
+    return { dateStr, minutes: Number(hh) * 60 + Number(mm), timeZone, allDay: false };
+}
+
+const toInstant = (t) => zonedTimeToUtc(t.dateStr, t.minutes, t.timeZone);
+
+/**
+ * "P1DT2H30M" / "PT45M" / "P1W" -> milliseconds (negative durations are not supported)
+ */
+function parseDuration(value) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, w, d, h, m, s] = match.map((v) => Number(v) || 0);
+    return ((((w * 7 + d) * 24 + h) * 60 + m) * 60 + s) * 1000;
+}
+
+/**
+ * "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" -> { freq: "WEEKLY", byDay: ["MO", "WE"], count: 10, ... }
+ */
+function parseRRule(value) {
+    const rule = {};
+    for (const part of String(value).split(";")) {
+        const [key, val] = part.split("=");
+        if (!key || val === undefined) continue;
+        rule[key.toUpperCase()] = val;
+    }
+
+    return {
+        freq: rule.FREQ,
+        interval: Math.max(1, Number(rule.INTERVAL) || 1),
+        count: rule.COUNT ? Number(rule.COUNT) : null,
+        until: rule.UNTIL || null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(",") : [],
+        byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number) : [],
+    };
+}
+
+/**
+ * Parses the VEVENTs of an ICS document (no recurrence expansion).
+ * @param {string} text
+ * @param {string} [defaultTimeZone] - Zone for floating times and all-day events
+ * @returns {object[]} - { uid, summary, status, transparent, start, end, durationMs, rrule, exdates, recurrenceId }
+ */
+function parseICS(text, defaultTimeZone = DEFAULT_TIMEZONE) {
+    const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+    const events = [];
+    let current = null;
+
+    for (const rawLine of lines) {
+        if (!rawLine.trim()) continue;
+
+        const line = parseContentLine(rawLine);
+        if (!line) continue;
+
+        if (line.name === "BEGIN" && line.value.toUpperCase() === "VEVENT") {
+            current = { exdates: [], status: "CONFIRMED", transparent: false, summary: "" };
+            continue;
+        }
+        if (line.name === "END" && line.value.toUpperCase() === "VEVENT") {
+            if (current?.uid && current.start) events.push(current);
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        switch (line.name) {
+            case "UID":
+                current.uid = line.value.trim();
+                break;
+            case "SUMMARY":
+                current.summary = unescapeText(line.value);
+                break;
+            case "STATUS":
+                current.status = line.value.trim().toUpperCase();
+                break;
+            case "TRANSP":
+                current.transparent = line.value.trim().toUpperCase() === "TRANSPARENT";
+                break;
+            case "DTSTART":
+                current.start = parseIcsTime(line.value, line.params, defaultTimeZone);
+                break;
+            case "DTEND":
+                current.end = parseIcsTime(line.value, line.params, defaultTimeZone);
+                break;
+            case "DURATION":
+                current.durationMs = parseDuration(line.value);
+                break;
+            case "RRULE":
+                current.rrule = parseRRule(line.value);
+                break;
+            case "EXDATE":
+                for (const v of line.value.split(",")) {
+                    const t = parseIcsTime(v, line.params, defaultTimeZone);
+                    if (t) current.exdates.push(toInstant(t).getTime());
+                }
+                break;
+            case "RECURRENCE-ID": {
+                const t = parseIcsTime(line.value, line.params, defaultTimeZone);
+                if (t) current.recurrenceId = toInstant(t).getTime();
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Local days of the month matching a BYDAY entry with an ordinal ("2TU", "-1FR", or plain "MO" = every).
+ */
+function monthDaysForByDay(monthFirstDay, byDay) {
+    const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(byDay);
+    if (!match) return [];
+
+    const weekday = ICS_WEEKDAYS.indexOf(match[2]);
+    if (weekday === -1) return [];
+
+    const days = [];
+    for (let d = monthFirstDay; d.slice(0, 7) === monthFirstDay.slice(0, 7); d = addDays(d, 1)) {
+        if (weekdayOf(d) === weekday) days.push(d);
+    }
+
+    if (!match[1]) return days;
+    const n = Number(match[1]);
+    const picked = n > 0 ? days[n - 1] : days[days.length + n];
+    return picked ? [picked] : [];
+}
+
+/**
+ * Candidate local days of one recurrence period (index = period number from DTSTART).
+ */
+function periodDays(rule, firstDay, index) {
+    const step = index * rule.interval;
+
+    if (rule.freq === "DAILY") return [addDays(firstDay, step)];
+
+    if (rule.freq === "WEEKLY") {
+        if (rule.byDay.length === 0) return [addDays(firstDay, step * 7)];
+
+        // Weeks start on Monday (WKST default)
+        const weekStart = addDays(firstDay, -((weekdayOf(firstDay) + 6) % 7) + step * 7);
+        return rule.byDay
+            .map((d) => ICS_WEEKDAYS.indexOf(d.replace(/^[+-]?\d+/, "")))
+            .filter((wd) => wd !== -1)
+            .map((wd) => addDays(weekStart, (wd + 6) % 7))
+            .sort();
+    }
+
+    if (rule.freq === "MONTHLY") {
+        const monthFirst = `${addMonths(`${firstDay.slice(0, 7)}-01`, step).slice(0, 7)}-01`;
+        const lastDay = Number(addDays(`${addMonths(monthFirst, 1).slice(0, 7)}-01`, -1).slice(8));
+
+        if (rule.byDay.length > 0) {
+            return [...new Set(rule.byDay.flatMap((d) => monthDaysForByDay(monthFirst, d)))].sort();
+        }
+
+        const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [Number(firstDay.slice(8))];
+        return monthDays
+            .map((md) => (md > 0 ? md : lastDay + md + 1))
+            .filter((md) => md >= 1 && md <= lastDay) // Months without that day are skipped
+            .map((md) => `${monthFirst.slice(0, 8)}${String(md).padStart(2, "0")}`)
+            .sort();
+    }
+
+    if (rule.freq === "YEARLY") {
+        const day = addMonths(firstDay, step * 12);
+        return day.slice(8) === firstDay.slice(8) ? [day] : []; // Feb 29 only in leap years
+    }
+
+    return [];
+}
+
+/**
+ * First period worth expanding for an occurrence overlapping `targetDay` (a day or more early is fine).
+ * Lets old open-ended rules (DTSTART years ago, no COUNT) skip straight to the window.
+ */
+function firstPeriodNear(rule, firstDay, targetDay) {
+    const days = diffDays(firstDay, targetDay);
+    if (days <= 0) return 0;
+
+    const [fy, fm] = firstDay.split("-").map(Number);
+    const [ty, tm] = targetDay.split("-").map(Number);
+
+    let units = 0;
+    if (rule.freq === "DAILY") units = days;
+    else if (rule.freq === "WEEKLY") units = Math.floor((days + ((weekdayOf(firstDay) + 6) % 7)) / 7);
+    else if (rule.freq === "MONTHLY") units = (ty - fy) * 12 + (tm - fm);
+    else if (rule.freq === "YEARLY") units = ty - fy;
+
+    return Math.max(0, Math.floor(units / rule.interval) - 1);
+}
+
+/**
+ * Expands parsed events into concrete busy ranges inside [from, to).
+ * Cancelled and transparent (free) events are dropped.
+ * Events that could not be fully expanded (step or size cap) are listed in `incompleteUids`,
+ * so callers don't mistake their missing occurrences for removed ones.
+ *
+ * @param {object[]} events - Result of parseICS()
+ * @param {object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {number} [options.maxOccurrences] - Hard cap on the result size
+ * @returns {{
+ *   occurrences: {uid: string, occurrenceStart: Date, start: Date, end: Date, summary: string, allDay: boolean}[],
+ *   incompleteUids: string[]
+ * }}
+ */
+function expandEvents(events, { from, to, maxOccurrences = 2000 }) {
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+
+    // RECURRENCE-ID overrides, by UID -> original occurrence instant
+    const overrides = new Map();
+    for (const e of events) {
+        if (e.recurrenceId === undefined) continue;
+        if (!overrides.has(e.uid)) overrides.set(e.uid, new Map());
+        overrides.get(e.uid).set(e.recurrenceId, e);
+    }
+
+    const result = [];
+    const incomplete = new Set();
+
+    const pushOccurrence = (e, occurrenceStartMs) => {
+        const override = overrides.get(e.uid)?.get(occurrenceStartMs);
+        const source = override || e;
+        if (source.status === "CANCELLED" || source.transparent) return;
+
+        const startMs = override ? toInstant(override.start).getTime() : occurrenceStartMs;
+        const durationMs = eventDurationMs(source);
+        const endMs = startMs + durationMs;
+
+        if (endMs <= fromMs || startMs >= toMs) return;
+
+        result.push({
+            uid: e.uid,
+            occurrenceStart: new Date(occurrenceStartMs),
+            start: new Date(startMs),
+            end: new Date(endMs),
+            summary: source.summary,
+            allDay: Boolean(source.start.allDay),
+        });
+    };
+
+    for (const e of events) {
+        if (e.recurrenceId !== undefined) continue;
+        if (result.length >= maxOccurrences) {
+            incomplete.add(e.uid);
+            continue;
+        }
+
+        if (!e.rrule || !e.rrule.freq) {
+            pushOccurrence(e, toInstant(e.start).getTime());
+            continue;
+        }
+
+        const rule = e.rrule;
+        const untilTime = rule.until ? parseIcsTime(rule.until, {}, e.start.timeZone) : null;
+        const untilMs = untilTime
+            ? untilTime.allDay
+                ? zonedTimeToUtc(addDays(untilTime.dateStr, 1), 0, e.start.timeZone).getTime() - 1
+                : toInstant(untilTime).getTime()
+            : Infinity;
+        const firstMs = toInstant(e.start).getTime();
+        const exdates = new Set(e.exdates);
+
+        // COUNT needs every occurrence from DTSTART; otherwise start near the window
+        const firstPeriod = rule.count
+            ? 0
+            : firstPeriodNear(
+                  rule,
+                  e.start.dateStr,
+                  addDays(toDateStr(new Date(fromMs - eventDurationMs(e)), e.start.timeZone), -1)
+              );
+
+        let produced = 0;
+        let done = false;
+        let period = firstPeriod;
+
+        for (; period < firstPeriod + MAX_EXPANSION_STEPS && !done; period++) {
+            for (const day of periodDays(rule, e.start.dateStr, period)) {
+                const occurrenceMs = zonedTimeToUtc(day, e.start.minutes, e.start.timeZone).getTime();
+                if (occurrenceMs < firstMs) continue;
+
+                if (occurrenceMs > untilMs || occurrenceMs >= toMs || (rule.count && produced >= rule.count)) {
+                    done = true;
+                    break;
+                }
+
+                produced++;
+                if (!exdates.has(occurrenceMs)) pushOccurrence(e, occurrenceMs);
+                if (result.length >= maxOccurrences) {
+                    incomplete.add(e.uid);
+                    done = true;
+                    break;
+                }
+            }
+        }
+
+        if (!done) incomplete.add(e.uid); // Step cap reached before the window ended
+    }
+
+    return { occurrences: result, incompleteUids: [...incomplete] };
+}
+
+/**
+ * Duration of an event: DTEND - DTSTART, else DURATION, else 1 day (all-day) / 0.
+ */
+function eventDurationMs(e) {
+    if (e.end) return Math.max(0, toInstant(e.end).getTime() - toInstant(e.start).getTime());
+    if (e.durationMs) return e.durationMs;
+    return e.start.allDay ? 24 * 60 * 60 * 1000 : 0;
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatUtc,
+    buildEvent,
+    buildCalendar,
+    unescapeText,
+    parseICS,
+    parseIcsTime,
+    parseDuration,
+    parseRRule,
+    expandEvents,
+};
@@ -0,0 +1,15 @@
+const { REMINDER_JOB_TYPE, sendAppointmentReminder } = require("./reminders");
+const { STATUS_SWEEP_JOB_TYPE, statusSweepJob } = require("./statusSweep");
+const { DEPOSIT_EXPIRE_JOB_TYPE, depositExpireJob } = require("./payments");
+
+/**
+ * Job type -> handler, used by the job runner started in app.js.
+ * Handlers receive (job, { now }) and throw to trigger a retry.
+ */
+const jobHandlers = {
+    [REMINDER_JOB_TYPE]: sendAppointmentReminder,
+    [STATUS_SWEEP_JOB_TYPE]: statusSweepJob,
+    [DEPOSIT_EXPIRE_JOB_TYPE]: depositExpireJob,
+};
+
+module.exports = { jobHandlers };
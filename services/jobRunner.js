@@ -0,0 +1,183 @@
+const os = require("os");
+const { JobModel } = require("../models/jobModel");
+
+/**
+ * Enqueue a job. With a `key`, an existing pending job for that key is updated instead
+ * (so re-scheduling the same reminder never duplicates it).
+ *
+ * @param {object} params
+ * @param {string} params.type - Handler name
+ * @param {Date} params.runAt - When the job becomes due
+ * @param {object} [params.payload]
+ * @param {string} [params.key] - Dedupe key
+ * @param {number} [params.maxAttempts]
+ */
+async function scheduleJob({ type, runAt, payload = {}, key = null, maxAttempts = 3 }) {
+    if (!key) {
+        return await JobModel.create({ type, runAt, payload, maxAttempts });
+    }
+
+    return await JobModel.findOneAndUpdate(
+        { key, status: "pending" },
+        { $set: { type, runAt, payload, maxAttempts, attempts: 0, lastError: null } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Cancel pending jobs matching a filter (e.g. { "payload.appointmentId": id }).
+ */
+async function cancelJobs(filter) {
+    return await JobModel.updateMany(
+        { ...filter, status: "pending" },
+        { $set: { status: "canceled", finishedAt: new Date() } }
+    );
+}
+
+/**
+ * Creates a job runner that polls Mongo for due jobs and executes them.
+ * Jobs are claimed atomically, so several server instances can run side by side.
+ * A job stuck in "running" longer than `lockTimeoutMs` (crashed process) is claimed again while it
+ * has attempts left, otherwise it is marked failed - so a job that crashes the process isn't retried forever.
+ *
+ * @param {object} options
+ * @param {Object<string, Function>} options.handlers - type -> async (job, { now }) => void
+ * @param {Function} [options.clock] - Returns the current Date (inject a fake clock in tests)
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.batchSize] - Max jobs per tick
+ * @param {number} [options.lockTimeoutMs]
+ * @param {number} [options.retryDelayMs] - Base delay before a failed job is retried
+ */
+function createJobRunner({
+    handlers,
+    clock = () => new Date(),
+    pollIntervalMs = 30 * 1000,
+    batchSize = 20,
+    lockTimeoutMs = 5 * 60 * 1000,
+    retryDelayMs = 60 * 1000,
+}) {
+    const runnerId = `${os.hostname()}:${process.pid}`;
+    let timer = null;
+    let ticking = false;
+
+    const staleBefore = (now) => new Date(now.getTime() - lockTimeoutMs);
+
+    // Stale running jobs without attempts left -> failed
+    async function failExhaustedStaleJobs(now) {
+        await JobModel.updateMany(
+            {
+                status: "running",
+                lockedAt: { $lte: staleBefore(now) },
+                $expr: { $gte: ["$attempts", "$maxAttempts"] },
+            },
+            { $set: { status: "failed", finishedAt: now, lastError: "Lock expired (no attempts left)" } }
+        );
+    }
+
+    // Claim the next due job (or a stale running one with attempts left)
+    async function claimNext(now) {
+        return await JobModel.findOneAndUpdate(
+            {
+                $or: [
+                    { status: "pending", runAt: { $lte: now } },
+                    {
+                        status: "running",
+                        lockedAt: { $lte: staleBefore(now) },
+                        $expr: { $lt: ["$attempts", "$maxAttempts"] },
+                    },
+                ],
+            },
+            {
+                $set: { status: "running", lockedBy: runnerId, lockedAt: now },
+                $inc: { attempts: 1 },
+            },
+            { sort: { runAt: 1 }, new: true }
+        ).lean();
+    }
+
+    async function runJob(job, now) {
+        const handler = handlers[job.type];
+
+        try {
+            if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+            await handler(job, { now });
+
+            await JobModel.updateOne(
+                { _id: job._id, lockedBy: runnerId },
+                { $set: { status: "done", finishedAt: clock(), lastError: null } }
+            );
+        } catch (err) {
+            console.error(`Job ${job.type} (${job._id}) failed:`, err.message);
+
+            const canRetry = handler && job.attempts < job.maxAttempts;
+            const failed = { status: "failed", finishedAt: clock(), lastError: err.message };
+
+            try {
+                await JobModel.updateOne(
+                    { _id: job._id, lockedBy: runnerId },
+                    {
+                        $set: canRetry
+                            ? {
+                                  status: "pending",
+                                  runAt: new Date(now.getTime() + retryDelayMs * job.attempts),
+                                  lastError: err.message,
+                              }
+                            : failed,
+                    }
+                );
+            } catch (updateErr) {
+                // A newer pending job with the same key exists - it supersedes this retry
+                if (updateErr.code !== 11000) throw updateErr;
+                await JobModel.updateOne({ _id: job._id, lockedBy: runnerId }, { $set: failed });
+            }
+        }
+    }
+
+    /**
+     * Run every job due at clock() (up to batchSize). Safe to call directly in tests.
+     * @returns {Promise<number>} - Number of jobs processed
+     */
+    async function tick() {
+        if (ticking) return 0;
+        ticking = true;
+
+        let processed = 0;
+        try {
+            const now = clock();
+            await failExhaustedStaleJobs(now);
+
+            while (processed < batchSize) {
+                const job = await claimNext(now);
+                if (!job) break;
+
+                await runJob(job, now);
+                processed++;
+            }
+        } catch (err) {
+            console.error("Job runner tick error:", err);
+        } finally {
+            ticking = false;
+        }
+
+        return processed;
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(tick, pollIntervalMs);
+        tick();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, tick };
+}
+
+module.exports = {
+    scheduleJob,
+    cancelJobs,
+    createJobRunner,
+};
@@ -0,0 +1,162 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BusinessModel, DEFAULT_LOYALTY } = require("../models/businessModel");
+const { LoyaltyTransactionModel } = require("../models/loyaltyTransactionModel");
+const { UserModel } = require("../models/userModel");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Returns the effective loyalty settings of a business (stored values over defaults).
+ */
+function getLoyaltySettings(business) {
+    const stored = business?.loyalty?.toObject?.() ?? business?.loyalty ?? {};
+    return { ...DEFAULT_LOYALTY, ...stored };
+}
+
+/**
+ * Points a completed appointment earns.
+ */
+function pointsForAppointment(settings, appt) {
+    if (settings.earnMode === "per_currency") {
+        return Math.floor((appt.service?.price || 0) * settings.pointsPerCurrency);
+    }
+    return settings.pointsPerAppointment;
+}
+
+/**
+ * Checks a redemption at booking time.
+ * @returns {{error: string}|{discount: number}}
+ */
+function priceRedemption(settings, points, price) {
+    if (!settings.enabled) return { error: "LOYALTY_DISABLED" };
+    if (points < settings.minRedeemPoints) return { error: "BELOW_MIN_REDEEM_POINTS" };
+
+    const discount = round2(points * settings.pointValue);
+    if (discount > price) return { error: "REDEEM_EXCEEDS_PRICE" };
+
+    return { discount };
+}
+
+/**
+ * Moves the client balance and appends the ledger entry.
+ * With `requireBalance`, the balance can't drop below zero (returns null instead).
+ *
+ * @param {object} params
+ * @param {string} params.business
+ * @param {string} params.client
+ * @param {string} params.type - See LOYALTY_TRANSACTION_TYPES
+ * @param {number} params.points - Signed
+ * @param {string} [params.appointment]
+ * @param {string} [params.description]
+ * @param {string} [params.createdBy]
+ * @param {boolean} [params.requireBalance]
+ * @returns {Promise<object|null>} - The transaction
+ */
+async function addLoyaltyTransaction({
+    business,
+    client,
+    type,
+    points,
+    appointment = null,
+    description = "",
+    createdBy = null,
+    requireBalance = false,
+}) {
+    const filter = { _id: client, business };
+    if (requireBalance && points < 0) filter.loyaltyPoints = { $gte: -points };
+
+    const user = await UserModel.findOneAndUpdate(filter, { $inc: { loyaltyPoints: points } }, { new: true })
+        .select("loyaltyPoints")
+        .lean();
+    if (!user) return null;
+
+    return await LoyaltyTransactionModel.create({
+        business,
+        client,
+        type,
+        points,
+        balanceAfter: user.loyaltyPoints,
+        appointment,
+        description,
+        createdBy,
+    });
+}
+
+/**
+ * Keeps the loyalty points of an appointment in line with its status.
+ * Call after every status change (like syncAppointmentReminders):
+ * - completed, nothing earned yet -> earn points (when the program is on)
+ * - no longer completed, points earned -> take them back
+ * - canceled with points redeemed on it -> give them back (once)
+ * Each step claims the appointment first, so concurrent syncs never double count.
+ *
+ * @param {object} appt - Appointment (needs _id)
+ */
+async function syncLoyaltyPoints(appt) {
+    const current = await AppointmentModel.findById(appt._id)
+        .select("business client service status loyaltyEarned loyaltyRefundedAt")
+        .lean();
+    if (!current) return;
+
+    const base = { business: current.business, client: current.client, appointment: current._id };
+
+    if (current.status === "completed" && !current.loyaltyEarned) {
+        const biz = await BusinessModel.findById(current.business).select("loyalty").lean();
+        const settings = getLoyaltySettings(biz);
+        const points = settings.enabled ? pointsForAppointment(settings, current) : 0;
+
+        if (points > 0) {
+            const claimed = await AppointmentModel.findOneAndUpdate(
+                { _id: current._id, status: "completed", loyaltyEarned: { $in: [0, null] } },
+                { $set: { loyaltyEarned: points } }
+            );
+            if (claimed) {
+                await addLoyaltyTransaction({
+                    ...base,
+                    type: "earn",
+                    points,
+                    description: current.service?.name || "",
+                });
+            }
+        }
+    }
+
+    if (current.status !== "completed" && current.loyaltyEarned > 0) {
+        const before = await AppointmentModel.findOneAndUpdate(
+            { _id: current._id, status: { $ne: "completed" }, loyaltyEarned: { $gt: 0 } },
+            { $set: { loyaltyEarned: 0 } }
+        ).lean();
+        if (before) {
+            await addLoyaltyTransaction({
+                ...base,
+                type: "earn_reversed",
+                points: -before.loyaltyEarned,
+                description: current.service?.name || "",
+            });
+        }
+    }
+
+    const redeemed = current.service?.pointsRedeemed?.points || 0;
+    if (current.status === "canceled" && redeemed > 0 && !current.loyaltyRefundedAt) {
+        const claimed = await AppointmentModel.findOneAndUpdate(
+            { _id: current._id, status: "canceled", loyaltyRefundedAt: null },
+            { $set: { loyaltyRefundedAt: new Date() } }
+        );
+        if (claimed) {
+            await addLoyaltyTransaction({
+                ...base,
+                type: "redeem_refunded",
+                points: redeemed,
+                description: current.service?.name || "",
+            });
+        }
+    }
+}
+
+module.exports = {
+    getLoyaltySettings,
+    pointsForAppointment,
+    priceRedemption,
+    addLoyaltyTransaction,
+    syncLoyaltyPoints,
+};
@@ -0,0 +1,131 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { DEFAULT_NO_SHOW_POLICY } = require("../models/businessModel");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the effective no-show policy of a business (stored values over defaults).
+ */
+function getNoShowPolicy(business) {
+    const stored = business?.noShowPolicy?.toObject?.() ?? business?.noShowPolicy ?? {};
+    return { ...DEFAULT_NO_SHOW_POLICY, ...stored };
+}
+
+/**
+ * Oldest no-show that can still matter (for strikes or an ongoing restriction).
+ */
+function noShowLookbackStart(policy, now) {
+    return new Date(now.getTime() - (policy.windowDays + policy.restrictionDays) * DAY_MS);
+}
+
+/**
+ * Derives strikes & restriction from a client's no-show times (no stored state -
+ * fixing a wrongly marked no-show lifts the restriction automatically).
+ *
+ * A restriction starts at the no-show that completes `maxNoShows` strikes within `windowDays`,
+ * and lasts `restrictionDays`.
+ *
+ * @param {object} policy - Result of getNoShowPolicy()
+ * @param {Date[]} noShowStarts - Start times of the client's no-show appointments
+ * @param {Date|null} pardonedAt - No-shows up to this date are ignored
+ * @param {Date} [now]
+ * @returns {{strikes: number, restriction: {action: string, until: Date}|null}}
+ */
+function evaluateNoShows(policy, noShowStarts, pardonedAt, now = new Date()) {
+    const pardonMs = pardonedAt ? new Date(pardonedAt).getTime() : 0;
+    const windowMs = policy.windowDays * DAY_MS;
+
+    const times = noShowStarts
+        .map((d) => new Date(d).getTime())
+        .filter((t) => t > pardonMs && t <= now.getTime())
+        .sort((a, b) => a - b);
+
+    const strikes = times.filter((t) => t > now.getTime() - windowMs).length;
+
+    let restrictedUntil = null;
+    if (policy.enabled) {
+        for (let i = policy.maxNoShows - 1; i < times.length; i++) {
+            if (times[i] - times[i - policy.maxNoShows + 1] >= windowMs) continue;
+
+            const until = times[i] + policy.restrictionDays * DAY_MS;
+            if (until > now.getTime()) restrictedUntil = Math.max(restrictedUntil || 0, until);
+        }
+    }
+
+    return {
+        strikes,
+        restriction: restrictedUntil ? { action: policy.action, until: new Date(restrictedUntil) } : null,
+    };
+}
+
+/**
+ * No-show status of a single client.
+ * @param {object} business - Business document (needs _id, noShowPolicy)
+ * @param {object} client - User document (needs _id, noShowPardonedAt)
+ */
+async function getClientNoShowStatus(business, client, now = new Date()) {
+    const policy = getNoShowPolicy(business);
+
+    const noShows = await AppointmentModel.find({
+        business: business._id,
+        client: client._id,
+        status: "no_show",
+        start: { $gte: noShowLookbackStart(policy, now) },
+    })
+        .select("start")
+        .lean();
+
+    return evaluateNoShows(
+        policy,
+        noShows.map((a) => a.start),
+        client.noShowPardonedAt,
+        now
+    );
+}
+
+/**
+ * No-show status of many clients at once (admin lists).
+ * @param {object} business - Business document (needs _id, noShowPolicy)
+ * @param {object[]} clients - User documents (need _id, noShowPardonedAt)
+ * @returns {Promise<Map<string, {strikes: number, restriction: object|null}>>} - Keyed by client ID
+ */
+async function getNoShowStatusMap(business, clients, now = new Date()) {
+    const policy = getNoShowPolicy(business);
+
+    const grouped = await AppointmentModel.aggregate([
+        {
+            $match: {
+                business: business._id,
+                client: { $in: clients.map((c) => c._id) },
+                status: "no_show",
+                start: { $gte: noShowLookbackStart(policy, now) },
+            },
+        },
+        { $group: { _id: "$client", starts: { $push: "$start" } } },
+    ]);
+
+    const startsByClient = new Map(grouped.map((g) => [String(g._id), g.starts]));
+
+    return new Map(
+        clients.map((c) => [
+            String(c._id),
+            evaluateNoShows(policy, startsByClient.get(String(c._id)) || [], c.noShowPardonedAt, now),
+        ])
+    );
+}
+
+/**
+ * Booking check for clients: returns the error code of an active restriction, or null.
+ */
+function noShowErrorCode(restriction) {
+    if (!restriction) return null;
+    return restriction.action === "approval" ? "ADMIN_APPROVAL_REQUIRED" : "BOOKING_BLOCKED_NO_SHOWS";
+}
+
+module.exports = {
+    getNoShowPolicy,
+    evaluateNoShows,
+    getClientNoShowStatus,
+    getNoShowStatusMap,
+    noShowErrorCode,
+};
@@ -0,0 +1,136 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { ClientPackageModel } = require("../models/clientPackageModel");
+
+const hasCreditsLeft = { $expr: { $lt: ["$usedCredits", "$totalCredits"] } };
+
+/**
+ * State of a client package at a given time.
+ * @returns {"active"|"used_up"|"expired"|"canceled"}
+ */
+function clientPackageState(cp, now = new Date()) {
+    if (cp.canceledAt) return "canceled";
+    if (cp.usedCredits >= cp.totalCredits) return "used_up";
+    if (cp.expiresAt && cp.expiresAt <= now) return "expired";
+    return "active";
+}
+
+/**
+ * Can a credit of this package pay for the service? Custom (non-catalog) services never qualify.
+ */
+function packageCoversService(cp, service) {
+    if (!service?.serviceId) return false;
+    if (!cp.serviceIds?.length) return true;
+    return cp.serviceIds.some((id) => String(id) === String(service.serviceId));
+}
+
+/**
+ * Packages of a client, with remaining credits and state.
+ * Usable ones come first, the soonest to expire first.
+ */
+async function getClientPackages(business, client, { includeInactive = false, now = new Date() } = {}) {
+    const packages = await ClientPackageModel.find({ business, client }).sort({ purchasedAt: -1 }).lean();
+
+    return packages
+        .map((cp) => ({
+            ...cp,
+            remainingCredits: cp.totalCredits - cp.usedCredits,
+            state: clientPackageState(cp, now),
+        }))
+        .filter((cp) => includeInactive || cp.state === "active")
+        .sort((a, b) => {
+            if ((a.state === "active") !== (b.state === "active")) return a.state === "active" ? -1 : 1;
+            return (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity);
+        });
+}
+
+/**
+ * Consume a credit for a completed appointment.
+ * Picks the matching package that expires first (valid on the appointment day).
+ * @returns {Promise<object|null>} - The package charged, or null if none could pay
+ */
+async function consumePackageCredit(appt, now) {
+    const candidates = await ClientPackageModel.find({
+        business: appt.business,
+        client: appt.client,
+        canceledAt: null,
+        ...hasCreditsLeft,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: appt.start } }],
+    }).lean();
+
+    const ordered = candidates
+        .filter((cp) => packageCoversService(cp, appt.service))
+        .sort(
+            (a, b) =>
+                (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity) ||
+                a.purchasedAt - b.purchasedAt
+        );
+
+    for (const cp of ordered) {
+        // Take the credit first - a concurrent consumer may have emptied the package
+        const charged = await ClientPackageModel.findOneAndUpdate(
+            { _id: cp._id, ...hasCreditsLeft },
+            { $inc: { usedCredits: 1 } },
+            { new: true }
+        ).lean();
+        if (!charged) continue;
+
+        const linked = await AppointmentModel.findOneAndUpdate(
+            { _id: appt._id, status: "completed", packageCredit: null },
+            { $set: { packageCredit: { clientPackage: cp._id, consumedAt: now } } }
+        );
+        if (!linked) {
+            // The appointment changed (or was charged) meanwhile - give the credit back
+            await ClientPackageModel.updateOne({ _id: cp._id }, { $inc: { usedCredits: -1 } });
+            return null;
+        }
+
+        return charged;
+    }
+
+    return null;
+}
+
+/**
+ * Keeps the package credit of an appointment in line with its status.
+ * Call after every status change (like syncAppointmentReminders):
+ * - completed, not charged yet -> consume a credit (when the client has a matching package)
+ * - no longer completed, charged -> restore the credit
+ *
+ * @param {object} appt - Appointment (needs _id)
+ * @returns {Promise<{consumed?: object, restored?: string}>}
+ */
+async function syncPackageCredit(appt, now = new Date()) {
+    const current = await AppointmentModel.findById(appt._id)
+        .select("business client service start status packageCredit")
+        .lean();
+    if (!current) return {};
+
+    if (current.status === "completed" && !current.packageCredit?.clientPackage) {
+        const consumed = await consumePackageCredit(current, now);
+        return consumed ? { consumed } : {};
+    }
+
+    if (current.status !== "completed" && current.packageCredit?.clientPackage) {
+        // Unlink first so two concurrent syncs can't both restore
+        const before = await AppointmentModel.findOneAndUpdate(
+            { _id: current._id, status: { $ne: "completed" }, "packageCredit.clientPackage": { $ne: null } },
+            { $set: { packageCredit: null } }
+        ).lean();
+        if (!before) return {};
+
+        await ClientPackageModel.updateOne(
+            { _id: before.packageCredit.clientPackage, usedCredits: { $gt: 0 } },
+            { $inc: { usedCredits: -1 } }
+        );
+        return { restored: String(before.packageCredit.clientPackage) };
+    }
+
+    return {};
+}
+
+module.exports = {
+    clientPackageState,
+    packageCoversService,
+    getClientPackages,
+    syncPackageCredit,
+};
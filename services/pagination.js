@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+/**
+ * Keyset (cursor) pagination over a single sort field + _id as tie breaker.
+ * The cursor is an opaque base64url token of the last item's sort value and _id.
+ */
+
+/**
+ * Reads a nested value ("service.price") from a document.
+ */
+const getPath = (doc, path) => path.split(".").reduce((v, key) => v?.[key], doc);
+
+/**
+ * Cursor pointing right after `doc`.
+ * @param {object} doc - Last item of the page
+ * @param {string} field - Sort field path
+ */
+function encodeCursor(doc, field) {
+    const value = getPath(doc, field);
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        d: value instanceof Date ? 1 : 0,
+        id: String(doc._id),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * @returns {{value: *, id: mongoose.Types.ObjectId}|null} - null for a malformed cursor
+ */
+function decodeCursor(cursor) {
+    try {
+        const { v, d, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+        const value = d ? new Date(v) : v;
+        if (d && Number.isNaN(value.getTime())) return null;
+
+        return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Filter selecting the items after the cursor for the given sort.
+ * @param {string} field - Sort field path
+ * @param {1|-1} direction
+ * @param {{value: *, id: mongoose.Types.ObjectId}} cursor - Decoded cursor
+ */
+function cursorFilter(field, direction, { value, id }) {
+    const op = direction === 1 ? "$gt" : "$lt";
+    return {
+        $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+};
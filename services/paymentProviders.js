@@ -0,0 +1,30 @@
+const fakeProvider = require("./fakePaymentProvider");
+
+/**
+ * Online payment providers, by name (the business picks one in paymentSettings.provider).
+ *
+ * A provider implements:
+ * - createCheckout({ payment, description, baseUrl }) -> { providerPaymentId, checkoutUrl }
+ * - refund({ payment, amount }) -> { providerRefundId }
+ * - parseWebhook(req) -> { providerPaymentId, status: "succeeded" | "failed", amount },
+ *   or null when the request isn't authentic
+ * - isEnabled() (optional) -> false hides the provider (see fakePaymentProvider.js)
+ *
+ * Names must match PAYMENT_PROVIDERS in models/businessModel.js.
+ */
+const providers = {
+    [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * @returns {object|null} - null for unknown or disabled providers
+ */
+function getPaymentProvider(name) {
+    const provider = providers[name];
+    if (!provider || (provider.isEnabled && !provider.isEnabled())) return null;
+    return provider;
+}
+
+module.exports = {
+    getPaymentProvider,
+};
@@ -0,0 +1,290 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { DEFAULT_PAYMENT_SETTINGS } = require("../models/businessModel");
+const { PaymentModel } = require("../models/paymentModel");
+const { UserModel } = require("../models/userModel");
+const { getPaymentProvider } = require("./paymentProviders");
+const { scheduleJob, cancelJobs } = require("./jobRunner");
+const { offerFreedSlot } = require("./waitlist");
+const { syncAppointmentReminders } = require("./reminders");
+const { publishAppointmentEvent } = require("./eventHub");
+const { syncLoyaltyPoints } = require("./loyalty");
+const { sendPushToToken } = require("./pushService");
+
+const DEPOSIT_EXPIRE_JOB_TYPE = "deposit_expire";
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Returns the effective payment settings of a business (stored values over defaults).
+ */
+function getPaymentSettings(business) {
+    const stored = business?.paymentSettings?.toObject?.() ?? business?.paymentSettings ?? {};
+    return { ...DEFAULT_PAYMENT_SETTINGS, ...stored };
+}
+
+/**
+ * Deposit due for a service price (0 = no deposit).
+ */
+function computeDepositAmount(settings, price) {
+    if (!settings.depositsEnabled || !(price > 0)) return 0;
+
+    const amount = settings.depositType === "fixed" ? settings.depositValue : (price * settings.depositValue) / 100;
+    return round2(Math.min(amount, price));
+}
+
+/**
+ * Recomputes the payment summary of an appointment (paymentStatus & paidAmount).
+ * Call after every payment change.
+ * - paid: net payments cover the price
+ * - partial: some money, not all
+ * - pending: only an online checkout in progress
+ * - refunded: everything paid was returned
+ */
+async function syncAppointmentPayment(appointmentId) {
+    const [appt, payments] = await Promise.all([
+        AppointmentModel.findById(appointmentId).select("service.price").lean(),
+        PaymentModel.find({ appointment: appointmentId }).select("status amount refundedAmount").lean(),
+    ]);
+    if (!appt) return null;
+
+    const succeeded = payments.filter((p) => p.status === "succeeded");
+    const paidAmount = round2(succeeded.reduce((sum, p) => sum + p.amount - (p.refundedAmount || 0), 0));
+
+    let paymentStatus = "unpaid";
+    if (paidAmount > 0) paymentStatus = paidAmount >= appt.service.price ? "paid" : "partial";
+    else if (payments.some((p) => p.status === "pending")) paymentStatus = "pending";
+    else if (succeeded.length > 0) paymentStatus = "refunded";
+
+    return await AppointmentModel.findByIdAndUpdate(
+        appointmentId,
+        { $set: { paymentStatus, paidAmount } },
+        { new: true }
+    ).lean();
+}
+
+/**
+ * Helper: sync + tell live calendars about the new payment state
+ */
+async function syncAndPublish(appointmentId) {
+    const appt = await syncAppointmentPayment(appointmentId);
+    if (appt) publishAppointmentEvent("appointment.payment_updated", appt);
+    return appt;
+}
+
+/**
+ * Starts an online deposit checkout for a new booking (when the business requires one).
+ * The appointment is held until the deposit is paid; unpaid holds are released by a job.
+ *
+ * @param {object} params
+ * @param {object} params.biz - Business document (needs paymentSettings)
+ * @param {object} params.appt - The new appointment
+ * @param {string} params.baseUrl - Public base URL (for provider redirects)
+ * @returns {Promise<object|null>} - The pending payment, or null if no deposit is due
+ */
+async function createDeposit({ biz, appt, baseUrl, now = new Date() }) {
+    const settings = getPaymentSettings(biz);
+    const amount = computeDepositAmount(settings, appt.service.price);
+    if (amount <= 0) return null;
+
+    const provider = getPaymentProvider(settings.provider);
+    if (!provider) throw new Error(`Unknown payment provider: ${settings.provider}`);
+
+    const payment = await PaymentModel.create({
+        business: appt.business,
+        appointment: appt._id,
+        client: appt.client,
+        kind: "deposit",
+        method: "online",
+        status: "pending",
+        amount,
+        currency: settings.currency,
+        provider: provider.name,
+        expiresAt: new Date(now.getTime() + settings.holdMinutes * 60 * 1000),
+    });
+
+    try {
+        const checkout = await provider.createCheckout({
+            payment,
+            description: `Deposit - ${appt.service.name}`,
+            baseUrl,
+        });
+        payment.providerPaymentId = checkout.providerPaymentId;
+        payment.checkoutUrl = checkout.checkoutUrl;
+        await payment.save();
+    } catch (err) {
+        await PaymentModel.updateOne({ _id: payment._id }, { $set: { status: "failed" } });
+        throw err;
+    }
+
+    await scheduleJob({
+        type: DEPOSIT_EXPIRE_JOB_TYPE,
+        runAt: payment.expiresAt,
+        key: `deposit-expire:${payment._id}`,
+        payload: { paymentId: String(payment._id) },
+    });
+    await syncAppointmentPayment(appt._id);
+
+    return payment;
+}
+
+/**
+ * Refunds (part of) a succeeded payment. Online payments are refunded through their provider.
+ * The amount is reserved first, so concurrent refunds can't exceed the payment.
+ *
+ * @param {object} payment - Payment document
+ * @param {object} params
+ * @param {number} [params.amount] - Defaults to everything not refunded yet
+ * @param {string} [params.reason]
+ * @param {string} [params.userId] - Admin issuing the refund
+ * @returns {Promise<{error: string}|{payment: object}>}
+ */
+async function refundPayment(payment, { amount, reason = "", userId = null }) {
+    if (payment.status !== "succeeded") return { error: "PAYMENT_NOT_REFUNDABLE" };
+
+    const remaining = round2(payment.amount - (payment.refundedAmount || 0));
+    const refundAmount = round2(amount ?? remaining);
+    if (refundAmount <= 0 || refundAmount > remaining) return { error: "REFUND_EXCEEDS_PAYMENT" };
+
+    const refund = { amount: refundAmount, reason, createdBy: userId };
+
+    const reserved = await PaymentModel.findOneAndUpdate(
+        { _id: payment._id, status: "succeeded", refundedAmount: { $lte: round2(payment.amount - refundAmount) } },
+        { $inc: { refundedAmount: refundAmount }, $push: { refunds: refund } },
+        { new: true }
+    );
+    if (!reserved) return { error: "REFUND_EXCEEDS_PAYMENT" };
+
+    const refundId = reserved.refunds[reserved.refunds.length - 1]._id;
+
+    if (payment.provider) {
+        try {
+            const provider = getPaymentProvider(payment.provider);
+            const { providerRefundId } = await provider.refund({ payment, amount: refundAmount });
+            await PaymentModel.updateOne(
+                { _id: payment._id, "refunds._id": refundId },
+                { $set: { "refunds.$.providerRefundId": providerRefundId } }
+            );
+        } catch (err) {
+            // Give the reservation back - the money never left
+            await PaymentModel.updateOne(
+                { _id: payment._id },
+                { $inc: { refundedAmount: -refundAmount }, $pull: { refunds: { _id: refundId } } }
+            );
+            console.error("Provider refund failed:", err);
+            return { error: "PAYMENT_PROVIDER_ERROR" };
+        }
+    }
+
+    await syncAndPublish(payment.appointment);
+    return { payment: await PaymentModel.findById(payment._id).lean() };
+}
+
+/**
+ * Cancels a booking still waiting for its deposit (nothing paid), and frees the slot.
+ * @returns {Promise<object|null>} - The canceled appointment, or null if it was kept
+ */
+async function releaseUnpaidBooking(appointmentId) {
+    const appt = await AppointmentModel.findOneAndUpdate(
+        { _id: appointmentId, status: "confirmed", paymentStatus: { $in: ["unpaid", "pending"] } },
+        { $set: { status: "canceled" } },
+        { new: true }
+    );
+    if (!appt) return null;
+
+    offerFreedSlot(appt).catch((e) => console.error("Waitlist offer failed:", e));
+    syncAppointmentReminders(appt).catch((e) => console.error("Reminder sync failed:", e));
+    syncLoyaltyPoints(appt).catch((e) => console.error("Loyalty sync failed:", e));
+    publishAppointmentEvent("appointment.canceled", appt, { previousStatus: "confirmed", reason: "deposit_unpaid" });
+
+    const client = await UserModel.findById(appt.client).select("expoPushToken").lean();
+    if (client?.expoPushToken) {
+        sendPushToToken(
+            client.expoPushToken,
+            "Booking Released",
+            "Your appointment was released because the deposit wasn't paid",
+            { type: "deposit_expired", appointmentId: String(appt._id) }
+        ).catch((e) => console.error("Push failed:", e));
+    }
+
+    return appt;
+}
+
+/**
+ * Applies a verified provider webhook. Idempotent - repeated deliveries change nothing.
+ * A deposit paid after its hold expired is still recorded (the money was taken),
+ * with a note so an admin can refund or rebook.
+ *
+ * @param {string} providerName
+ * @param {{providerPaymentId: string, status: "succeeded"|"failed", amount: number}} event
+ * @returns {Promise<{handled: boolean, reason?: string}>}
+ */
+async function handleProviderWebhook(providerName, event, now = new Date()) {
+    const payment = await PaymentModel.findOne({
+        provider: providerName,
+        providerPaymentId: event.providerPaymentId,
+    }).lean();
+    if (!payment) return { handled: false, reason: "PAYMENT_NOT_FOUND" };
+
+    if (Number.isFinite(event.amount) && round2(event.amount) !== payment.amount) {
+        console.error(`Webhook amount mismatch for payment ${payment._id}: ${event.amount} != ${payment.amount}`);
+        return { handled: false, reason: "AMOUNT_MISMATCH" };
+    }
+
+    if (event.status === "succeeded") {
+        const before = await PaymentModel.findOneAndUpdate(
+            { _id: payment._id, status: { $in: ["pending", "canceled"] } },
+            { $set: { status: "succeeded", paidAt: now } }
+        ).lean();
+        if (!before) return { handled: false, reason: "ALREADY_PROCESSED" };
+
+        if (before.status === "canceled") {
+            await PaymentModel.updateOne(
+                { _id: payment._id },
+                { $set: { notes: "Paid after the booking hold expired - refund or rebook" } }
+            );
+        }
+
+        await cancelJobs({ type: DEPOSIT_EXPIRE_JOB_TYPE, "payload.paymentId": String(payment._id) });
+        await syncAndPublish(payment.appointment);
+        return { handled: true };
+    }
+
+    const failed = await PaymentModel.findOneAndUpdate(
+        { _id: payment._id, status: "pending" },
+        { $set: { status: "failed" } }
+    ).lean();
+    if (!failed) return { handled: false, reason: "ALREADY_PROCESSED" };
+
+    await cancelJobs({ type: DEPOSIT_EXPIRE_JOB_TYPE, "payload.paymentId": String(payment._id) });
+    await syncAndPublish(payment.appointment);
+    if (payment.kind === "deposit") await releaseUnpaidBooking(payment.appointment);
+
+    return { handled: true };
+}
+
+/**
+ * Job handler: the deposit hold is over - cancel the checkout and release the booking.
+ */
+async function depositExpireJob(job) {
+    const payment = await PaymentModel.findOneAndUpdate(
+        { _id: job.payload.paymentId, status: "pending" },
+        { $set: { status: "canceled" } }
+    ).lean();
+    if (!payment) return; // Paid or failed meanwhile
+
+    await syncAndPublish(payment.appointment);
+    await releaseUnpaidBooking(payment.appointment);
+}
+
+module.exports = {
+    DEPOSIT_EXPIRE_JOB_TYPE,
+    getPaymentSettings,
+    computeDepositAmount,
+    syncAppointmentPayment,
+    syncAndPublish,
+    createDeposit,
+    refundPayment,
+    releaseUnpaidBooking,
+    handleProviderWebhook,
+    depositExpireJob,
+};
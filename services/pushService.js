@@ -61,7 +61,7 @@ async function sendPushToToken(expoPushToken, title, body, data = {}) {
  * @param {string[]} tokens - Array of Expo Push Tokens
  * @param {string} title
  * @param {string} body
- * @param {object} data
+ * @param {object|Function} data - Shared payload, or (token) => payload for per-recipient data
  * @returns {Promise<{successCount: number, failCount: number, invalidTokens: string[]}>}
  */
 async function sendPushToManyTokens(tokens, title, body, data = {}) {
@@ -97,7 +97,7 @@ async function sendPushToManyTokens(tokens, title, body, data = {}) {
         sound: "default",
         title,
         body,
-        data,
+        data: typeof data === "function" ? data(to) : data,
     }));
 
     // 4. Send in Chunks
@@ -0,0 +1,113 @@
+const { QueueEntryModel, ACTIVE_QUEUE_STATUSES } = require("../models/queueEntryModel");
+const { UserModel } = require("../models/userModel");
+const { sendPushToToken } = require("./pushService");
+
+const minutesToMs = (min) => min * 60 * 1000;
+
+/**
+ * Active entries (waiting + called) of a worker's queue, in ticket order.
+ */
+async function getActiveQueue(business, worker, day) {
+    return await QueueEntryModel.find({
+        business,
+        worker,
+        day,
+        status: { $in: ACTIVE_QUEUE_STATUSES },
+    })
+        .sort({ number: 1 })
+        .lean();
+}
+
+/**
+ * Next ticket number of a worker's day. Call while holding the worker lock.
+ */
+async function nextTicketNumber(business, worker, day) {
+    const last = await QueueEntryModel.findOne({ business, worker, day })
+        .sort({ number: -1 })
+        .select("number")
+        .lean();
+
+    return (last?.number || 0) + 1;
+}
+
+/**
+ * Adds position & wait estimates to active queue entries (sorted by ticket number).
+ * The called entry occupies the worker for what's left of its service duration,
+ * each waiting entry then waits for the durations of everyone ahead of it.
+ *
+ * @param {object[]} entries - Active entries, sorted by number
+ * @param {Date} [now]
+ * @returns {object[]} - Entries + { position, estimatedWaitMin, estimatedStart } (position 0 = being served)
+ */
+function computeQueueEstimates(entries, now = new Date()) {
+    let busyMs = 0;
+
+    for (const e of entries) {
+        if (e.status !== "called") continue;
+        const elapsed = now.getTime() - new Date(e.calledAt || now).getTime();
+        busyMs += Math.max(0, minutesToMs(e.service.duration) - elapsed);
+    }
+
+    let position = 0;
+    return entries.map((e) => {
+        if (e.status === "called") {
+            return { ...e, position: 0, estimatedWaitMin: 0, estimatedStart: e.calledAt };
+        }
+
+        position++;
+        const waitMs = busyMs;
+        busyMs += minutesToMs(e.service.duration);
+
+        return {
+            ...e,
+            position,
+            estimatedWaitMin: Math.ceil(waitMs / 60000),
+            estimatedStart: new Date(now.getTime() + waitMs),
+        };
+    });
+}
+
+/**
+ * Push to an app client (walk-ins without an account are skipped).
+ */
+async function pushToClient(clientId, title, body, data) {
+    if (!clientId) return null;
+
+    const user = await UserModel.findById(clientId).select("expoPushToken").lean();
+    if (!user?.expoPushToken) return null;
+
+    return await sendPushToToken(user.expoPushToken, title, body, data);
+}
+
+/**
+ * Sends "you're next" to the first waiting client of a worker's queue (once per entry).
+ * Call after every change that can move the line forward.
+ */
+async function notifyNextInQueue(business, worker, day) {
+    const first = await QueueEntryModel.findOne({ business, worker, day, status: "waiting" })
+        .sort({ number: 1 })
+        .lean();
+
+    if (!first || !first.client || first.nextNotifiedAt) return;
+
+    // Claim the notification first so concurrent calls don't push twice
+    const claimed = await QueueEntryModel.findOneAndUpdate(
+        { _id: first._id, status: "waiting", nextNotifiedAt: null },
+        { $set: { nextNotifiedAt: new Date() } }
+    );
+    if (!claimed) return;
+
+    await pushToClient(first.client, "You're Next", `Ticket #${first.number} - please get ready`, {
+        type: "queue_next",
+        queueEntryId: String(first._id),
+        businessId: String(business),
+    });
+}
+
+module.exports = {
+    getActiveQueue,
+    nextTicketNumber,
+    computeQueueEstimates,
+    pushToClient,
+    notifyNextInQueue,
+};
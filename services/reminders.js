@@ -0,0 +1,113 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BusinessModel, DEFAULT_REMINDERS } = require("../models/businessModel");
+const { scheduleJob, cancelJobs } = require("./jobRunner");
+const { sendPushToToken } = require("./pushService");
+const { DEFAULT_TIMEZONE } = require("./timeZone");
+
+const REMINDER_JOB_TYPE = "appointment_reminder";
+
+/**
+ * Returns the effective reminder settings of a business (stored values over defaults).
+ */
+function getReminderSettings(business) {
+    const stored = business?.reminders?.toObject?.() ?? business?.reminders ?? {};
+    return { ...DEFAULT_REMINDERS, ...stored };
+}
+
+/**
+ * Cancel all pending reminders of an appointment.
+ */
+async function cancelAppointmentReminders(appointmentId) {
+    return await cancelJobs({ type: REMINDER_JOB_TYPE, "payload.appointmentId": String(appointmentId) });
+}
+
+/**
+ * Bring the reminder jobs of an appointment in line with its current state.
+ * Call after every create / status change / reschedule:
+ * - not confirmed -> pending reminders are canceled
+ * - confirmed -> one job per configured offset (past offsets are skipped)
+ *
+ * @param {object} appt - Appointment (needs _id, business, start, status)
+ * @param {Date} [now]
+ */
+async function syncAppointmentReminders(appt, now = new Date()) {
+    await cancelAppointmentReminders(appt._id);
+    if (appt.status !== "confirmed") return { scheduled: 0 };
+
+    const biz = await BusinessModel.findById(appt.business).select("reminders").lean();
+    const settings = getReminderSettings(biz);
+    if (!settings.enabled) return { scheduled: 0 };
+
+    const start = new Date(appt.start);
+    let scheduled = 0;
+
+    for (const offset of settings.offsetsMinutes) {
+        const runAt = new Date(start.getTime() - offset * 60 * 1000);
+        if (runAt <= now) continue;
+
+        await scheduleJob({
+            type: REMINDER_JOB_TYPE,
+            runAt,
+            key: `reminder:${appt._id}:${offset}`,
+            payload: {
+                appointmentId: String(appt._id),
+                offsetMinutes: offset,
+                start: start.toISOString(),
+            },
+        });
+        scheduled++;
+    }
+
+    return { scheduled };
+}
+
+/**
+ * Job handler: push the reminder to the client.
+ * Stale jobs (appointment canceled / moved since scheduling) are skipped silently.
+ */
+async function sendAppointmentReminder(job) {
+    const { appointmentId, start } = job.payload || {};
+
+    const appt = await AppointmentModel.findById(appointmentId)
+        .populate("client", "expoPushToken")
+        .populate("business", "name timezone")
+        .lean();
+
+    if (!appt || appt.status !== "confirmed") return;
+    if (new Date(appt.start).toISOString() !== start) return;
+
+    const token = appt.client?.expoPushToken;
+    if (!token) return;
+
+    const timeZone = appt.business?.timezone || DEFAULT_TIMEZONE;
+    const when = new Date(appt.start).toLocaleString("he-IL", {
+        timeZone,
+        weekday: "long",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+
+    const result = await sendPushToToken(
+        token,
+        "Appointment Reminder",
+        `${appt.service.name} at ${appt.business?.name || ""} - ${when}`,
+        {
+            type: "appointment_reminder",
+            appointmentId: String(appt._id),
+            businessId: String(appt.business?._id || ""),
+        }
+    );
+
+    // Device problems are final - only transport errors are worth a retry
+    if (result?.ok === false && ["SendChunkError", "ServerError"].includes(result.error)) {
+        throw new Error(`Reminder push failed: ${result.error}`);
+    }
+}
+
+module.exports = {
+    REMINDER_JOB_TYPE,
+    getReminderSettings,
+    cancelAppointmentReminders,
+    syncAppointmentReminders,
+    sendAppointmentReminder,
+};
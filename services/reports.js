@@ -0,0 +1,381 @@
+const mongoose = require("mongoose");
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BlockModel } = require("../models/blockModel");
+const { getOpeningWindow, rangesOverlap } = require("./scheduling");
+const { addDays, addMonths, diffDays, toDateStr, weekdayOf, zonedDayRange } = require("./timeZone");
+
+// Statuses that occupied the worker's time
+const BOOKED_STATUSES = ["confirmed", "completed", "no_show"];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+const ratio = (n, d) => (d > 0 ? Math.round((n / d) * 10000) / 10000 : 0);
+
+/**
+ * Local days range ("YYYY-MM-DD", inclusive) -> UTC instants [start, end)
+ */
+function toUtcRange({ from, to }, timeZone) {
+    return { start: zonedDayRange(from, timeZone).start, end: zonedDayRange(to, timeZone).end };
+}
+
+/**
+ * Comparison period for a range.
+ * @param {{from: string, to: string}} range
+ * @param {string} compare - "previous" (same length, right before) | "year" (same days, a year earlier)
+ * @returns {{from: string, to: string}|null}
+ */
+function getComparisonRange(range, compare) {
+    if (compare === "previous") {
+        const length = diffDays(range.from, range.to) + 1;
+        return { from: addDays(range.from, -length), to: addDays(range.from, -1) };
+    }
+    if (compare === "year") {
+        return { from: addMonths(range.from, -12), to: addMonths(range.to, -12) };
+    }
+    return null;
+}
+
+/**
+ * Revenue of completed appointments per day / week / month (buckets in the business time zone).
+ * @returns {Promise<{period: string, revenue: number, count: number}[]>} - period = first local day of the bucket
+ */
+async function revenueByPeriod(business, range, groupBy, timeZone) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const rows = await AppointmentModel.aggregate([
+        {
+            $match: {
+                business: toObjectId(business),
+                status: "completed",
+                start: { $gte: start, $lt: end },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: { date: "$start", unit: groupBy, timezone: timeZone, startOfWeek: "sunday" },
+                },
+                revenue: { $sum: "$service.price" },
+                count: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    return rows.map((r) => ({ period: toDateStr(r._id, timeZone), revenue: r.revenue, count: r.count }));
+}
+
+/**
+ * Revenue & counts of completed appointments per worker or per service.
+ * @param {"worker"|"service"} by
+ */
+async function revenueBreakdown(business, range, by, timeZone) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const groupId = by === "worker" ? "$worker" : { $ifNull: ["$service.serviceId", "$service.name"] };
+
+    const pipeline = [
+        {
+            $match: {
+                business: toObjectId(business),
+                status: "completed",
+                start: { $gte: start, $lt: end },
+            },
+        },
+        {
+            $group: {
+                _id: groupId,
+                name: { $last: "$service.name" },
+                revenue: { $sum: "$service.price" },
+                count: { $sum: 1 },
+                minutes: { $sum: "$service.duration" },
+            },
+        },
+        { $sort: { revenue: -1 } },
+    ];
+
+    if (by === "worker") {
+        pipeline.push(
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "worker" } },
+            {
+                $project: {
+                    _id: 0,
+                    workerId: "$_id",
+                    name: { $ifNull: [{ $first: "$worker.name" }, ""] },
+                    revenue: 1,
+                    count: 1,
+                    minutes: 1,
+                },
+            }
+        );
+    } else {
+        pipeline.push({ $project: { _id: 0, serviceId: "$_id", name: 1, revenue: 1, count: 1, minutes: 1 } });
+    }
+
+    return await AppointmentModel.aggregate(pipeline);
+}
+
+/**
+ * Status counts and cancellation / no-show rates.
+ * - cancellationRate = canceled / all appointments
+ * - noShowRate = no_show / (completed + no_show) - only appointments that were due
+ */
+async function statusRates(business, range, timeZone) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const rows = await AppointmentModel.aggregate([
+        { $match: { business: toObjectId(business), start: { $gte: start, $lt: end } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const counts = { confirmed: 0, canceled: 0, completed: 0, no_show: 0 };
+    rows.forEach((r) => (counts[r._id] = r.count));
+
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    const due = counts.completed + counts.no_show;
+    return {
+        total,
+        counts,
+        cancellationRate: ratio(counts.canceled, total),
+        noShowRate: ratio(counts.no_show, due),
+    };
+}
+
+/**
+ * Minutes of a window not covered by any of the ranges.
+ */
+function uncoveredMinutes(window, ranges) {
+    const clipped = ranges
+        .filter((r) => rangesOverlap(window.start, window.end, r.start, r.end))
+        .map((r) => ({
+            start: Math.max(window.start.getTime(), new Date(r.start).getTime()),
+            end: Math.min(window.end.getTime(), new Date(r.end).getTime()),
+        }))
+        .sort((a, b) => a.start - b.start);
+
+    let covered = 0;
+    let cursor = window.start.getTime();
+    for (const r of clipped) {
+        if (r.end <= cursor) continue;
+        covered += r.end - Math.max(r.start, cursor);
+        cursor = r.end;
+    }
+
+    return (window.end.getTime() - window.start.getTime() - covered) / 60000;
+}
+
+/**
+ * Open minutes of every worker per local day (opening hours minus active blocks).
+ * @param {object} biz - Business document (needs _id, openingHours)
+ * @param {string[]} workers - Worker IDs
+ * @returns {Promise<{date: string, minutes: Object<string, number>}[]>} - Only days the business opens
+ */
+async function getOpenMinutesByDay(biz, workers, range, timeZone) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const blocks = await BlockModel.find({
+        business: biz._id,
+        active: true,
+        start: { $lt: end },
+        end: { $gt: start },
+        $or: [{ resource: null }, { resource: { $in: workers } }],
+    })
+        .select("start end resource")
+        .lean();
+
+    const blocksByWorker = new Map(
+        workers.map((w) => [String(w), blocks.filter((b) => !b.resource || String(b.resource) === String(w))])
+    );
+
+    const days = [];
+    for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+        const window = getOpeningWindow(biz.openingHours, date, timeZone);
+        if (!window) continue;
+
+        const minutes = {};
+        blocksByWorker.forEach((workerBlocks, worker) => (minutes[worker] = uncoveredMinutes(window, workerBlocks)));
+        days.push({ date, minutes });
+    }
+
+    return days;
+}
+
+/**
+ * Worker utilization: booked minutes vs open minutes (opening hours minus active blocks).
+ * @param {object} biz - Business document (needs _id, openingHours)
+ * @param {string[]} workers - Worker IDs
+ */
+async function workerUtilization(biz, workers, range, timeZone) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const [booked, openDays] = await Promise.all([
+        AppointmentModel.aggregate([
+            {
+                $match: {
+                    business: toObjectId(biz._id),
+                    worker: { $in: workers.map(toObjectId) },
+                    status: { $in: BOOKED_STATUSES },
+                    start: { $gte: start, $lt: end },
+                },
+            },
+            { $group: { _id: "$worker", minutes: { $sum: "$service.duration" }, count: { $sum: 1 } } },
+        ]),
+        getOpenMinutesByDay(biz, workers, range, timeZone),
+    ]);
+
+    const bookedByWorker = new Map(booked.map((b) => [String(b._id), b]));
+
+    return workers.map((worker) => {
+        const openMinutes = openDays.reduce((sum, d) => sum + (d.minutes[String(worker)] || 0), 0);
+        const bookedMinutes = bookedByWorker.get(String(worker))?.minutes || 0;
+
+        return {
+            workerId: worker,
+            openMinutes,
+            bookedMinutes,
+            appointments: bookedByWorker.get(String(worker))?.count || 0,
+            utilization: ratio(bookedMinutes, openMinutes),
+        };
+    });
+}
+
+// Lead time buckets in hours: same day, 1-3 days, 4-7 days, 1-2 weeks, 2+ weeks
+const LEAD_TIME_BOUNDARIES = [0, 24, 72, 168, 336];
+const LEAD_TIME_LABELS = ["<1d", "1-3d", "3-7d", "7-14d", "14d+"];
+
+/**
+ * Demand analytics over booked appointments (confirmed, completed, no-show):
+ * - heatmap: 7 x 24 counts, heatmap[weekday][hour] (0 = Sunday, local time)
+ * - leadTime: hours from booking (createdAt) to start - average + histogram
+ * - dayFill: booked vs open minutes per local day, plus the average per weekday
+ * - topServices: most booked services
+ * @param {object} biz - Business document (needs _id, owner, workers, openingHours)
+ * @param {string[]} workers - Worker IDs (all workers, or the filtered one)
+ */
+async function demandAnalytics(biz, workers, range, timeZone, { topServices = 10 } = {}) {
+    const { start, end } = toUtcRange(range, timeZone);
+
+    const match = {
+        business: toObjectId(biz._id),
+        worker: { $in: workers.map(toObjectId) },
+        status: { $in: BOOKED_STATUSES },
+        start: { $gte: start, $lt: end },
+    };
+
+    // Booked after the start (walk-ins entered late) counts as 0
+    const leadHoursExpr = {
+        $max: [0, { $divide: [{ $subtract: ["$start", { $ifNull: ["$createdAt", "$start"] }] }, 3600000] }],
+    };
+
+    const [facets] = await AppointmentModel.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                heatmap: [
+                    {
+                        $group: {
+                            _id: {
+                                weekday: { $dayOfWeek: { date: "$start", timezone: timeZone } },
+                                hour: { $hour: { date: "$start", timezone: timeZone } },
+                            },
+                            count: { $sum: 1 },
+                        },
+                    },
+                ],
+                // $facet can't nest - summary and histogram are separate branches
+                leadTimeSummary: [{ $group: { _id: null, average: { $avg: leadHoursExpr }, count: { $sum: 1 } } }],
+                leadTimeBuckets: [
+                    {
+                        $bucket: {
+                            groupBy: leadHoursExpr,
+                            boundaries: LEAD_TIME_BOUNDARIES,
+                            default: "rest",
+                            output: { count: { $sum: 1 } },
+                        },
+                    },
+                ],
+                days: [
+                    {
+                        $group: {
+                            _id: { $dateToString: { date: "$start", format: "%Y-%m-%d", timezone: timeZone } },
+                            minutes: { $sum: "$service.duration" },
+                            count: { $sum: 1 },
+                        },
+                    },
+                ],
+                services: [
+                    {
+                        $group: {
+                            _id: { $ifNull: ["$service.serviceId", "$service.name"] },
+                            name: { $last: "$service.name" },
+                            count: { $sum: 1 },
+                        },
+                    },
+                    { $sort: { count: -1 } },
+                    { $limit: topServices },
+                    { $project: { _id: 0, serviceId: "$_id", name: 1, count: 1 } },
+                ],
+            },
+        },
+    ]);
+
+    // Heatmap - $dayOfWeek is 1 (Sunday) .. 7 (Saturday)
+    const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    let max = 0;
+    facets.heatmap.forEach(({ _id, count }) => {
+        heatmap[_id.weekday - 1][_id.hour] = count;
+        max = Math.max(max, count);
+    });
+
+    // Lead time
+    const [summary] = facets.leadTimeSummary;
+    const bucketCounts = new Map(facets.leadTimeBuckets.map((b) => [b._id, b.count]));
+    const leadTime = {
+        averageHours: summary ? Math.round(summary.average * 10) / 10 : 0,
+        buckets: LEAD_TIME_LABELS.map((label, i) => ({
+            label,
+            count: bucketCounts.get(i === LEAD_TIME_BOUNDARIES.length - 1 ? "rest" : LEAD_TIME_BOUNDARIES[i]) || 0,
+        })),
+    };
+
+    // Day fill - only days the business opens
+    const bookedByDay = new Map(facets.days.map((d) => [d._id, d]));
+    const openDays = await getOpenMinutesByDay(biz, workers, range, timeZone);
+
+    const days = openDays.map(({ date, minutes }) => {
+        const openMinutes = Object.values(minutes).reduce((a, b) => a + b, 0);
+        const bookedMinutes = bookedByDay.get(date)?.minutes || 0;
+        return {
+            date,
+            weekday: weekdayOf(date),
+            appointments: bookedByDay.get(date)?.count || 0,
+            bookedMinutes,
+            openMinutes,
+            fill: ratio(bookedMinutes, openMinutes),
+        };
+    });
+
+    const byWeekday = Array.from({ length: 7 }, (_, weekday) => {
+        const sameDays = days.filter((d) => d.weekday === weekday && d.openMinutes > 0);
+        const fill = sameDays.reduce((sum, d) => sum + d.fill, 0);
+        return { weekday, days: sameDays.length, averageFill: sameDays.length ? ratio(fill, sameDays.length) : 0 };
+    });
+
+    return {
+        total: summary?.count || 0,
+        heatmap: { weekdays: 7, hours: 24, max, counts: heatmap },
+        leadTime,
+        dayFill: { days, byWeekday },
+        topServices: facets.services,
+    };
+}
+
+module.exports = {
+    BOOKED_STATUSES,
+    getComparisonRange,
+    revenueByPeriod,
+    revenueBreakdown,
+    statusRates,
+    getOpenMinutesByDay,
+    workerUtilization,
+    demandAnalytics,
+};
@@ -0,0 +1,370 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BlockModel } = require("../models/blockModel");
+const { BusinessModel, DEFAULT_BOOKING_POLICY, DEFAULT_SLOT_INTERVAL_MIN } = require("../models/businessModel");
+const {
+    DEFAULT_TIMEZONE,
+    zonedTimeToUtc,
+    toDateStr,
+    toLocalMinutes,
+    addDays,
+    addMonths,
+    weekdayOf,
+} = require("./timeZone");
+
+// Statuses that occupy a worker's time
+const BLOCKING_STATUSES = ["confirmed"];
+
+// Index matches getDay() / weekdayOf() (0 = Sunday)
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const minutesToMs = (min) => min * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an "HH:MM" string into minutes since midnight.
+ * @param {string} str
+ * @returns {number|null} - null for empty / malformed values (closed day)
+ */
+function parseTime(str) {
+    if (!str || typeof str !== "string") return null;
+
+    const match = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(str.trim());
+    if (!match) return null;
+
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Builds the appointment service snapshot from the business catalog.
+ * Returns null if the service does not exist in the business.
+ */
+function resolveServiceSnapshot(biz, serviceId) {
+    const service = (biz.services || []).find((s) => String(s._id) === String(serviceId));
+    if (!service) return null;
+
+    return {
+        serviceId: service._id,
+        name: service.name,
+        duration: service.duration,
+        price: service.price,
+    };
+}
+
+/**
+ * Check for overlapping appointments of a worker.
+ * @param {string|string[]|null} excludeId - Appointment ID(s) to ignore (e.g. the one being moved)
+ * @returns {Promise<object|null>} - The conflicting appointment if found, otherwise null
+ */
+async function checkAppointmentOverlap(business, worker, start, durationMinutes, excludeId = null) {
+    const startDate = new Date(start);
+    const endDate = new Date(startDate.getTime() + minutesToMs(durationMinutes));
+
+    const query = {
+        business,
+        worker,
+        status: { $in: BLOCKING_STATUSES },
+        $expr: {
+            $and: [
+                { $lt: ["$start", endDate] }, // Existing starts before new ends
+                {
+                    // Existing ends after new starts
+                    $gt: [
+                        { $add: ["$start", { $multiply: ["$service.duration", 60000] }] },
+                        startDate,
+                    ],
+                },
+            ],
+        },
+    };
+
+    if (excludeId) {
+        query._id = { $nin: [].concat(excludeId) };
+    }
+
+    return await AppointmentModel.findOne(query).lean();
+}
+
+/**
+ * Returns the opening window of a local calendar day.
+ * @param {object} openingHours - BusinessModel.openingHours
+ * @param {string} dateStr - Local calendar day ("YYYY-MM-DD")
+ * @param {string} timeZone - Business time zone
+ * @returns {{start: Date, end: Date}|null} - null when the business is closed that day
+ */
+function getOpeningWindow(openingHours, dateStr, timeZone) {
+    const hours = openingHours?.[WEEKDAYS[weekdayOf(dateStr)]];
+    const open = parseTime(hours?.open);
+    const close = parseTime(hours?.close);
+
+    if (open === null || close === null || close <= open) return null;
+
+    return {
+        start: zonedTimeToUtc(dateStr, open, timeZone),
+        end: zonedTimeToUtc(dateStr, close, timeZone),
+    };
+}
+
+/**
+ * Fetch the time zone of a business (falls back to the default zone).
+ */
+async function getBusinessTimezone(businessId) {
+    const biz = await BusinessModel.findById(businessId).select("timezone").lean();
+    return biz?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Returns the effective booking policy of a business (stored values over defaults).
+ * The slot interval lives on the business itself (slotIntervalMin) - select it along with bookingPolicy.
+ * @param {object} business - Business document (lean or hydrated)
+ */
+function getBookingPolicy(business) {
+    const stored = business?.bookingPolicy?.toObject?.() ?? business?.bookingPolicy ?? {};
+    return {
+        ...DEFAULT_BOOKING_POLICY,
+        ...stored,
+        slotIntervalMin: business?.slotIntervalMin || DEFAULT_SLOT_INTERVAL_MIN,
+    };
+}
+
+/**
+ * Checks a booking start time against the policy lead time & horizon.
+ * @param {object} policy - Result of getBookingPolicy()
+ * @param {Date|string} start - Booking start
+ * @param {Date} [now]
+ * @returns {string|null} - Error code, or null if allowed
+ */
+function checkBookingPolicyWindow(policy, start, now = new Date()) {
+    const startMs = new Date(start).getTime();
+
+    if (startMs < now.getTime() + minutesToMs(policy.minLeadTimeMinutes)) {
+        return "BOOKING_TOO_SOON";
+    }
+    if (startMs > now.getTime() + policy.maxHorizonDays * DAY_MS) {
+        return "BOOKING_TOO_FAR";
+    }
+    return null;
+}
+
+/**
+ * Checks that a booking start lies on the slot grid of its day (opening time + n * slot interval),
+ * the same grid findNearestSlots() offers.
+ * @param {object} business - Business document (needs openingHours, timezone, slotIntervalMin)
+ * @param {Date|string} start - Booking start
+ * @returns {string|null} - Error code, or null if allowed (closed days are left to checkBookingWindow)
+ */
+function checkSlotGrid(business, start) {
+    const startDate = new Date(start);
+    const timeZone = business.timezone || DEFAULT_TIMEZONE;
+
+    const window = getOpeningWindow(business.openingHours, toDateStr(startDate, timeZone), timeZone);
+    if (!window) return null;
+
+    const intervalMs = minutesToMs(getBookingPolicy(business).slotIntervalMin);
+    return (startDate - window.start) % intervalMs === 0 ? null : "START_NOT_ON_SLOT";
+}
+
+/**
+ * Counts a client's upcoming confirmed appointments (the "active" limit of the booking policy).
+ * Past appointments still waiting for the status sweep / admin review don't count.
+ */
+async function countActiveAppointments(business, client, now = new Date()) {
+    return await AppointmentModel.countDocuments({
+        business,
+        client,
+        status: "confirmed",
+        start: { $gt: now },
+    });
+}
+
+/**
+ * Fetch active blocks overlapping a range, for a worker AND the whole business.
+ */
+async function getActiveBlocks(business, worker, from, to) {
+    return await BlockModel.find({
+        business,
+        active: true,
+        start: { $lt: to },
+        end: { $gt: from },
+        $or: [{ resource: null }, { resource: worker }],
+    })
+        .select("start end resource")
+        .lean();
+}
+
+/**
+ * Returns true if [aStart, aEnd) and [bStart, bEnd) intersect.
+ */
+function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+    return aStart < bEnd && aEnd > bStart;
+}
+
+/**
+ * Checks that a booking fits the business schedule.
+ * The whole range must fall inside the opening hours of its day,
+ * and must not overlap an active block (global or for this worker).
+ *
+ * @param {object} business - Business document (needs _id, openingHours, timezone)
+ * @param {string} worker - Worker ID
+ * @param {Date|string} start - Booking start
+ * @param {number} durationMin - Booking duration in minutes
+ * @returns {Promise<string|null>} - Error code, or null if the booking is allowed
+ */
+async function checkBookingWindow(business, worker, start, durationMin) {
+    const startDate = new Date(start);
+    const endDate = new Date(startDate.getTime() + minutesToMs(durationMin));
+
+    const timeZone = business.timezone || DEFAULT_TIMEZONE;
+    const window = getOpeningWindow(business.openingHours, toDateStr(startDate, timeZone), timeZone);
+    if (!window || startDate < window.start || endDate > window.end) {
+        return "OUTSIDE_OPENING_HOURS";
+    }
+
+    const blocks = await getActiveBlocks(business._id, worker, startDate, endDate);
+    if (blocks.length > 0) return "BLOCKED_PERIOD";
+
+    return null;
+}
+
+/**
+ * Expands a recurrence rule into occurrence start times.
+ * Occurrences keep the local time of day of the first one (DST safe).
+ *
+ * @param {object} params
+ * @param {Date} params.start - First occurrence
+ * @param {string} params.frequency - "weekly" | "biweekly" | "monthly"
+ * @param {string|null} [params.until] - Last allowed local day ("YYYY-MM-DD", inclusive)
+ * @param {number|null} [params.count] - Max occurrences
+ * @param {string} params.timeZone - Business time zone
+ * @param {number} params.max - Hard cap on occurrences
+ * @returns {Date[]}
+ */
+function buildSeriesOccurrences({ start, frequency, until = null, count = null, timeZone, max }) {
+    const firstDay = toDateStr(start, timeZone);
+    const minutes = toLocalMinutes(start, timeZone);
+    const limit = Math.min(count || max, max);
+
+    const dayOf = (index) => {
+        if (frequency === "monthly") return addMonths(firstDay, index);
+        return addDays(firstDay, index * (frequency === "biweekly" ? 14 : 7));
+    };
+
+    const occurrences = [];
+    for (let i = 0; i < limit; i++) {
+        const day = dayOf(i);
+        if (until && day > until) break;
+        occurrences.push(zonedTimeToUtc(day, minutes, timeZone));
+    }
+
+    return occurrences;
+}
+
+/**
+ * Finds the nearest free slots for a worker.
+ * Walks the business calendar days (in its time zone) through the opening hours, skipping closed days,
+ * active blocks (global + worker) and existing confirmed appointments.
+ *
+ * @param {object} params
+ * @param {object} params.business - Business document (needs _id, openingHours, timezone, slotIntervalMin)
+ * @param {string} params.worker - Worker ID
+ * @param {number} params.durationMin - Requested service duration in minutes
+ * @param {Date} [params.from] - Search start (defaults to now)
+ * @param {Date} [params.until] - Latest allowed slot start (booking horizon)
+ * @param {number} [params.limit] - Max slots to return
+ * @param {number} [params.maxDays] - How many calendar days to scan
+ * @returns {Promise<Date[]>}
+ */
+async function findNearestSlots({
+    business,
+    worker,
+    durationMin,
+    from = new Date(),
+    until = null,
+    limit = 5,
+    maxDays = 14,
+}) {
+    const neededMs = minutesToMs(durationMin);
+    const intervalMs = minutesToMs(getBookingPolicy(business).slotIntervalMin);
+
+    const timeZone = business.timezone || DEFAULT_TIMEZONE;
+    const firstDay = toDateStr(from, timeZone);
+
+    const rangeStart = new Date(from);
+    const rangeEnd = zonedTimeToUtc(addDays(firstDay, maxDays), 0, timeZone);
+
+    // Fetch everything for the scanned range once (instead of a query per day)
+    const [appointments, blocks] = await Promise.all([
+        AppointmentModel.find({
+            business: business._id,
+            worker,
+            status: { $in: BLOCKING_STATUSES },
+            start: { $lt: rangeEnd },
+            $expr: {
+                $gt: [
+                    { $add: ["$start", { $multiply: ["$service.duration", 60000] }] },
+                    rangeStart,
+                ],
+            },
+        })
+            .select("start service.duration")
+            .lean(),
+        getActiveBlocks(business._id, worker, rangeStart, rangeEnd),
+    ]);
+
+    const busy = [
+        ...appointments.map((a) => {
+            const start = new Date(a.start);
+            return { start, end: new Date(start.getTime() + minutesToMs(a.service.duration)) };
+        }),
+        ...blocks.map((b) => ({ start: new Date(b.start), end: new Date(b.end) })),
+    ];
+
+    const slots = [];
+
+    for (let daysChecked = 0; daysChecked < maxDays && slots.length < limit; daysChecked++) {
+        const day = addDays(firstDay, daysChecked);
+        const window = getOpeningWindow(business.openingHours, day, timeZone);
+
+        if (window && window.end > rangeStart) {
+            // Stay on the grid defined by the opening time
+            let slotStart = window.start;
+            if (slotStart < rangeStart) {
+                const steps = Math.ceil((rangeStart - window.start) / intervalMs);
+                slotStart = new Date(window.start.getTime() + steps * intervalMs);
+            }
+
+            while (slots.length < limit) {
+                const slotEnd = new Date(slotStart.getTime() + neededMs);
+
+                // Slot exceeds working hours / booking horizon
+                if (slotEnd > window.end) break;
+                if (until && slotStart > until) return slots;
+
+                const isTaken = busy.some((b) => rangesOverlap(slotStart, slotEnd, b.start, b.end));
+                if (!isTaken) slots.push(new Date(slotStart));
+
+                slotStart = new Date(slotStart.getTime() + intervalMs);
+            }
+        }
+    }
+
+    return slots;
+}
+
+module.exports = {
+    BLOCKING_STATUSES,
+    WEEKDAYS,
+    parseTime,
+    getOpeningWindow,
+    getBusinessTimezone,
+    getBookingPolicy,
+    checkBookingPolicyWindow,
+    checkSlotGrid,
+    countActiveAppointments,
+    getActiveBlocks,
+    rangesOverlap,
+    resolveServiceSnapshot,
+    checkAppointmentOverlap,
+    checkBookingWindow,
+    buildSeriesOccurrences,
+    findNearestSlots,
+};
@@ -0,0 +1,115 @@
+const { AppointmentModel } = require("../models/appointmentModel");
+const { BusinessModel, DEFAULT_AUTO_STATUS } = require("../models/businessModel");
+const { scheduleJob } = require("./jobRunner");
+const { syncPackageCredit } = require("./packages");
+const { syncLoyaltyPoints } = require("./loyalty");
+
+const STATUS_SWEEP_JOB_TYPE = "status_sweep";
+const STATUS_SWEEP_KEY = "status_sweep";
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Returns the effective auto status settings of a business (stored values over defaults).
+ */
+function getAutoStatusSettings(business) {
+    const stored = business?.autoStatus?.toObject?.() ?? business?.autoStatus ?? {};
+    return { ...DEFAULT_AUTO_STATUS, ...stored };
+}
+
+/**
+ * Query for confirmed appointments that ended before `cutoff` and were not swept yet.
+ */
+function endedBeforeFilter(business, cutoff) {
+    return {
+        business,
+        status: "confirmed",
+        autoStatusAt: null,
+        start: { $lt: cutoff },
+        $expr: {
+            $lte: [{ $add: ["$start", { $multiply: ["$service.duration", 60000] }] }, cutoff],
+        },
+    };
+}
+
+/**
+ * Moves past confirmed appointments out of "confirmed", per business settings:
+ * - action "complete" -> status "completed"
+ * - action "review"   -> stays confirmed, flagged `needsReview` for the admin list
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{completed: number, flagged: number}>}
+ */
+async function runStatusSweep(now = new Date()) {
+    const businesses = await BusinessModel.find({}).select("autoStatus").lean();
+
+    let completed = 0;
+    let flagged = 0;
+
+    for (const biz of businesses) {
+        const settings = getAutoStatusSettings(biz);
+        if (!settings.enabled) continue;
+
+        const cutoff = new Date(now.getTime() - settings.afterMinutes * 60 * 1000);
+        const filter = endedBeforeFilter(biz._id, cutoff);
+
+        if (settings.action === "review") {
+            const result = await AppointmentModel.updateMany(filter, {
+                $set: { needsReview: true, autoStatusAt: now },
+            });
+            flagged += result.modifiedCount;
+        } else {
+            const result = await AppointmentModel.updateMany(filter, {
+                $set: { status: "completed", autoStatusAt: now },
+            });
+            completed += result.modifiedCount;
+
+            // Completed appointments consume package credits and earn loyalty points
+            if (result.modifiedCount > 0) {
+                const done = await AppointmentModel.find({ business: biz._id, status: "completed", autoStatusAt: now })
+                    .select("_id")
+                    .lean();
+                for (const appt of done) {
+                    await syncPackageCredit(appt, now).catch((e) => console.error("Package credit sync failed:", e));
+                    await syncLoyaltyPoints(appt).catch((e) => console.error("Loyalty sync failed:", e));
+                }
+            }
+        }
+    }
+
+    return { completed, flagged };
+}
+
+/**
+ * Make sure the recurring sweep job exists (called on server start).
+ */
+async function ensureStatusSweepScheduled(now = new Date()) {
+    return await scheduleJob({
+        type: STATUS_SWEEP_JOB_TYPE,
+        runAt: now,
+        key: STATUS_SWEEP_KEY,
+        maxAttempts: 1,
+    });
+}
+
+/**
+ * Job handler: schedules the next run first (so a failing sweep never breaks the chain), then sweeps.
+ * @returns {Promise<{completed: number, flagged: number}>}
+ */
+async function statusSweepJob(job, { now }) {
+    await scheduleJob({
+        type: STATUS_SWEEP_JOB_TYPE,
+        runAt: new Date(now.getTime() + SWEEP_INTERVAL_MS),
+        key: STATUS_SWEEP_KEY,
+        maxAttempts: 1, // No retries - the next run is already queued
+    });
+
+    return await runStatusSweep(now);
+}
+
+module.exports = {
+    STATUS_SWEEP_JOB_TYPE,
+    getAutoStatusSettings,
+    runStatusSweep,
+    ensureStatusSweepScheduled,
+    statusSweepJob,
+};
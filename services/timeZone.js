@@ -0,0 +1,200 @@
+/**
+ * Time zone helpers (no external deps - built on Intl).
+ * Calendar days are passed around as "YYYY-MM-DD" strings in the business time zone,
+ * instants are plain Date objects (UTC).
+ */
+
+const DEFAULT_TIMEZONE = "Asia/Jerusalem";
+
+const DATE_STR_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl.DateTimeFormat construction is expensive - cache one per zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(
+            timeZone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+            })
+        );
+    }
+    return formatters.get(timeZone);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Checks if a string is a valid IANA time zone (e.g. "Asia/Jerusalem")
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== "string") return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Returns the wall-clock parts of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== "literal") parts[type] = Number(value);
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+    };
+}
+
+/**
+ * Offset (ms) between the zone's wall clock and UTC at a given instant.
+ * Positive east of Greenwich (Israel: +2h / +3h in summer).
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a local calendar day + minutes since midnight into a UTC instant.
+ * Times inside a DST gap (which don't exist locally) are shifted forward by the gap length,
+ * e.g. 02:30 on a spring-forward night becomes 03:30 - in every zone.
+ *
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateStr, minutes, timeZone) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const wallAsUtc = Date.UTC(y, m - 1, d, 0, minutes);
+
+    // Two passes: the offset at the guessed instant may differ around DST transitions
+    let utc = wallAsUtc - getTimeZoneOffsetMs(new Date(wallAsUtc), timeZone);
+    utc = wallAsUtc - getTimeZoneOffsetMs(new Date(utc), timeZone);
+
+    // DST gap: no offset maps back to the wall time. Clocks jump forward (the offset grows),
+    // so reading the time with the earlier, smaller offset lands after the gap.
+    if (utc + getTimeZoneOffsetMs(new Date(utc), timeZone) !== wallAsUtc) {
+        const halfDayMs = 12 * 60 * 60 * 1000;
+        const before = getTimeZoneOffsetMs(new Date(utc - halfDayMs), timeZone);
+        const after = getTimeZoneOffsetMs(new Date(utc + halfDayMs), timeZone);
+        utc = wallAsUtc - Math.min(before, after);
+    }
+
+    return new Date(utc);
+}
+
+/**
+ * Returns the local calendar day ("YYYY-MM-DD") of an instant.
+ */
+function toDateStr(date, timeZone) {
+    const p = getZonedParts(new Date(date), timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * Calendar arithmetic on "YYYY-MM-DD" strings (time zone independent).
+ */
+function addDays(dateStr, days) {
+    const d = new Date(`${dateStr}T00:00:00.000Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Number of calendar days from `fromStr` to `toStr` (both "YYYY-MM-DD").
+ */
+function diffDays(fromStr, toStr) {
+    const from = new Date(`${fromStr}T00:00:00.000Z`);
+    const to = new Date(`${toStr}T00:00:00.000Z`);
+    return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Adds calendar months to a "YYYY-MM-DD" string.
+ * Days that don't exist in the target month are clamped (Jan 31 + 1 month -> Feb 28/29).
+ */
+function addMonths(dateStr, months) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    const firstOfMonth = new Date(Date.UTC(y, m - 1 + months, 1));
+    const lastDay = new Date(
+        Date.UTC(firstOfMonth.getUTCFullYear(), firstOfMonth.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+
+    firstOfMonth.setUTCDate(Math.min(d, lastDay));
+    return firstOfMonth.toISOString().slice(0, 10);
+}
+
+/**
+ * Minutes since local midnight of an instant.
+ */
+function toLocalMinutes(date, timeZone) {
+    const p = getZonedParts(new Date(date), timeZone);
+    return p.hour * 60 + p.minute;
+}
+
+/**
+ * Day of week of a "YYYY-MM-DD" string (0 = Sunday)
+ */
+function weekdayOf(dateStr) {
+    return new Date(`${dateStr}T00:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * Checks a "YYYY-MM-DD" string is well formed and a real calendar day.
+ */
+function isValidDateStr(dateStr) {
+    if (typeof dateStr !== "string" || !DATE_STR_REGEX.test(dateStr)) return false;
+    const d = new Date(`${dateStr}T00:00:00.000Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === dateStr;
+}
+
+/**
+ * UTC range [start, end) covering a local calendar day.
+ * On DST transition days the range is 23 or 25 hours long.
+ */
+function zonedDayRange(dateStr, timeZone) {
+    return {
+        start: zonedTimeToUtc(dateStr, 0, timeZone),
+        end: zonedTimeToUtc(addDays(dateStr, 1), 0, timeZone),
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    isValidDateStr,
+    getZonedParts,
+    getTimeZoneOffsetMs,
+    zonedTimeToUtc,
+    zonedDayRange,
+    toDateStr,
+    toLocalMinutes,
+    addDays,
+    diffDays,
+    addMonths,
+    weekdayOf,
+};
@@ -0,0 +1,7 @@
+/**
+ * Public base URL of the API, for links sent to clients (feeds, payment redirects)
+ * PUBLIC_BASE_URL wins over the request host (needed behind a proxy)
+ * @param {object} req - Express request
+ * @returns {string} - e.g. "https://api.example.com" (no trailing slash)
+ */
+exports.getBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const { UserModel } = require("../models/userModel");
+const { WaitlistModel } = require("../models/waitlistModel");
+const { getBusinessTimezone } = require("./scheduling");
+const { toDateStr } = require("./timeZone");
+const { sendPushToManyTokens } = require("./pushService");
+
+// How long a client has to claim an offered slot
+const OFFER_TTL_MIN = 15;
+
+// Max clients notified per freed slot (oldest wishes first)
+const MAX_OFFER_RECIPIENTS = 20;
+
+/**
+ * Offer a freed slot to matching waitlisted clients.
+ * Called (fire & forget) whenever a confirmed appointment gets canceled or moved away.
+ * Every matching entry gets its own time-limited offer; the first client to claim
+ * books the slot, the others hit the regular overlap check.
+ * Each push carries its entry & offer IDs, so the app can claim it directly.
+ *
+ * @param {object} appt - The canceled appointment (or the moved one, as it was before the move)
+ * @returns {Promise<{offered: number}>}
+ */
+async function offerFreedSlot(appt) {
+    const now = new Date();
+    const start = new Date(appt.start);
+    if (start <= now) return { offered: 0 };
+
+    const timeZone = await getBusinessTimezone(appt.business);
+    const day = toDateStr(start, timeZone);
+
+    const entries = await WaitlistModel.find({
+        business: appt.business,
+        status: "waiting",
+        fromDate: { $lte: day },
+        toDate: { $gte: day },
+        worker: { $in: [null, appt.worker] },
+        "service.duration": { $lte: appt.service.duration },
+    })
+        .sort({ createdAt: 1 })
+        .limit(MAX_OFFER_RECIPIENTS)
+        .select("_id client")
+        .lean();
+
+    if (entries.length === 0) return { offered: 0 };
+
+    const expiresAt = new Date(now.getTime() + OFFER_TTL_MIN * 60 * 1000);
+
+    // New offer per entry (expired offers are dropped on the way)
+    const offers = entries.map((e) => ({ entry: e, offerId: new mongoose.Types.ObjectId() }));
+
+    await WaitlistModel.updateMany(
+        { _id: { $in: entries.map((e) => e._id) } },
+        { $pull: { offers: { expiresAt: { $lte: now } } } }
+    );
+    await WaitlistModel.bulkWrite(
+        offers.map(({ entry, offerId }) => ({
+            updateOne: {
+                filter: { _id: entry._id },
+                update: { $push: { offers: { _id: offerId, start, worker: appt.worker, expiresAt, sentAt: now } } },
+            },
+        }))
+    );
+
+    const clients = await UserModel.find({
+        _id: { $in: entries.map((e) => e.client) },
+        expoPushToken: { $exists: true, $ne: null },
+    })
+        .select("expoPushToken")
+        .lean();
+
+    const tokenByClient = new Map(clients.map((c) => [String(c._id), c.expoPushToken.trim()]));
+
+    // Token -> its offer (a client with several matching entries gets the first one)
+    const offerByToken = new Map();
+    for (const offer of offers) {
+        const token = tokenByClient.get(String(offer.entry.client));
+        if (token && !offerByToken.has(token)) offerByToken.set(token, offer);
+    }
+
+    if (offerByToken.size > 0) {
+        // One batch - the payload carries each recipient's own entry & offer IDs
+        await sendPushToManyTokens(
+            [...offerByToken.keys()],
+            "A slot just opened up!",
+            `${start.toLocaleString("he-IL", { timeZone })} is available. Claim it within ${OFFER_TTL_MIN} minutes.`,
+            (token) => ({
+                type: "waitlist_offer",
+                businessId: String(appt.business),
+                entryId: String(offerByToken.get(token).entry._id),
+                offerId: String(offerByToken.get(token).offerId),
+                start: start.toISOString(),
+                worker: String(appt.worker),
+                expiresAt: expiresAt.toISOString(),
+            })
+        );
+    }
+
+    return { offered: entries.length };
+}
+
+module.exports = {
+    OFFER_TTL_MIN,
+    offerFreedSlot,
+};
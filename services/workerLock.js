@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const { WorkerLockModel } = require("../models/workerLockModel");
+
+// Lease length - must comfortably exceed a single check + write
+const LOCK_TTL_MS = 15 * 1000;
+
+// How long a request waits for a busy worker before giving up
+const ACQUIRE_TIMEOUT_MS = 5 * 1000;
+const RETRY_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Error thrown when the lock could not be acquired in time.
+ */
+class LockTimeoutError extends Error {
+    constructor() {
+        super("Worker schedule is busy, try again");
+        this.name = "LockTimeoutError";
+        this.code = "LOCK_TIMEOUT";
+    }
+}
+
+/**
+ * Try to take the lock once.
+ * The filter only matches a FREE lock; if the lock is held, the upsert tries to insert
+ * a second document for the same worker and fails on the unique index (E11000).
+ */
+async function tryAcquire(business, worker, token) {
+    const now = new Date();
+    try {
+        await WorkerLockModel.findOneAndUpdate(
+            { business, worker, expiresAt: { $lte: now } },
+            { $set: { token, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+            { upsert: true, new: true }
+        );
+        return true;
+    } catch (err) {
+        if (err.code === 11000) return false;
+        throw err;
+    }
+}
+
+/**
+ * Run `fn` while holding the booking lock of one or more workers.
+ * Every "check overlap -> write appointment" sequence must run inside this,
+ * so concurrent requests for the same worker are serialized and the loser
+ * sees the winner's appointment in its overlap check.
+ *
+ * @param {string} business - Business ID
+ * @param {string|string[]} workers - Worker ID(s) to lock
+ * @param {Function} fn - Async callback
+ * @returns {Promise<*>} - Whatever `fn` returns
+ * @throws {LockTimeoutError}
+ */
+async function withWorkerLock(business, workers, fn) {
+    // Sorted + deduplicated: a fixed order prevents deadlocks between multi-worker callers
+    const ids = [...new Set([].concat(workers).map(String))].sort();
+    const token = crypto.randomUUID();
+    const acquired = [];
+
+    try {
+        for (const worker of ids) {
+            const deadline = Date.now() + ACQUIRE_TIMEOUT_MS;
+            while (!(await tryAcquire(business, worker, token))) {
+                if (Date.now() >= deadline) throw new LockTimeoutError();
+                await sleep(RETRY_DELAY_MS);
+            }
+            acquired.push(worker);
+        }
+
+        return await fn();
+    } finally {
+        if (acquired.length > 0) {
+            // Release only what we still own (the lease may have expired and been re-taken)
+            await WorkerLockModel.updateMany(
+                { business, worker: { $in: acquired }, token },
+                { $set: { token: null, expiresAt: new Date(0) } }
+            ).catch((err) => console.error("Worker lock release failed:", err));
+        }
+    }
+}
+
+module.exports = {
+    LockTimeoutError,
+    withWorkerLock,
+};